@@ -0,0 +1,206 @@
+const AgenteConfig = require('../models/AgenteConfig');
+
+// Lo que se muestra en el panel en lugar de community / claves v3
+const MASCARA = '********';
+
+const DEFAULTS = {
+  version: 0,
+  intervaloSondeoSeg: 60,
+  subredes: [],
+  hosts: [],
+  hostsExcluidos: [],
+  snmp: {
+    version: 'v2c',
+    community: 'public',
+    v3: {
+      usuario: null,
+      nivelSeguridad: null,
+      protocoloAuth: null,
+      claveAuth: null,
+      protocoloPriv: null,
+      clavePriv: null
+    }
+  },
+  oids: []
+};
+
+const SUBRED_RE = /^(\d{1,3}\.){3}\d{1,3}\/\d{1,2}$/;
+const OID_RE = /^\.?\d+(\.\d+)+$/;
+
+// Mismos enums que models/AgenteConfig (null = no aplica)
+const ENUMS_V3 = {
+  nivelSeguridad: ['noAuthNoPriv', 'authNoPriv', 'authPriv'],
+  protocoloAuth: ['MD5', 'SHA', 'SHA256'],
+  protocoloPriv: ['DES', 'AES', 'AES256']
+};
+
+const esObjeto = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const esTextoONulo = (v) => v === undefined || v === null || typeof v === 'string';
+
+/**
+ * Config vigente de una empresa (defaults con version 0 si nunca se ha guardado).
+ */
+async function obtenerConfig(empresaId) {
+  const config = await AgenteConfig.findOne({ empresaId }).lean();
+  return config || { ...DEFAULTS, empresaId };
+}
+
+/**
+ * Forma en que viaja la config al agente (sin metadatos de Mongo).
+ */
+function formatoAgente(config) {
+  return {
+    version: config.version,
+    intervaloSondeoSeg: config.intervaloSondeoSeg,
+    subredes: config.subredes || [],
+    hosts: config.hosts || [],
+    hostsExcluidos: config.hostsExcluidos || [],
+    snmp: config.snmp || DEFAULTS.snmp,
+    oids: config.oids || []
+  };
+}
+
+/**
+ * Devuelve la config para el agente solo si la que trae está atrasada.
+ * Agentes que no mandan configVersion (versiones viejas) no reciben nada.
+ */
+async function configSiDesactualizada(empresaId, configVersionAgente) {
+  if (configVersionAgente === undefined || configVersionAgente === null) return null;
+
+  const config = await obtenerConfig(empresaId);
+  if (config.version <= Number(configVersionAgente)) return null;
+  return formatoAgente(config);
+}
+
+/**
+ * Copia de la config con secretos ocultos (para el panel).
+ */
+function enmascarar(config) {
+  const snmp = config.snmp || DEFAULTS.snmp;
+  return {
+    ...config,
+    snmp: {
+      ...snmp,
+      community: snmp.community ? MASCARA : null,
+      v3: {
+        ...(snmp.v3 || {}),
+        claveAuth: snmp.v3?.claveAuth ? MASCARA : null,
+        clavePriv: snmp.v3?.clavePriv ? MASCARA : null
+      }
+    }
+  };
+}
+
+/**
+ * Valida el body del panel y lo mezcla con la config actual.
+ * Secretos que llegan como MASCARA conservan su valor anterior.
+ * Retorna { error } o { cambios }.
+ */
+function validarCambios(body, actual) {
+  const cambios = {};
+  const {
+    intervaloSondeoSeg,
+    subredes,
+    hosts,
+    hostsExcluidos,
+    snmp,
+    oids
+  } = body || {};
+
+  if (intervaloSondeoSeg !== undefined) {
+    if (typeof intervaloSondeoSeg !== 'number' || intervaloSondeoSeg < 15 || intervaloSondeoSeg > 3600) {
+      return { error: 'intervaloSondeoSeg debe ser 15-3600' };
+    }
+    cambios.intervaloSondeoSeg = intervaloSondeoSeg;
+  }
+
+  for (const [campo, valor] of Object.entries({ subredes, hosts, hostsExcluidos, oids })) {
+    if (valor === undefined) continue;
+    if (!Array.isArray(valor) || valor.some(v => typeof v !== 'string' || !v.trim())) {
+      return { error: `${campo} debe ser un arreglo de strings` };
+    }
+    cambios[campo] = [...new Set(valor.map(v => v.trim()))];
+  }
+
+  if (cambios.subredes?.some(s => !SUBRED_RE.test(s))) {
+    return { error: 'subredes deben tener formato CIDR (ej: 192.168.1.0/24)' };
+  }
+  if (cambios.oids?.some(o => !OID_RE.test(o))) {
+    return { error: 'oids deben ser numéricos (ej: 1.3.6.1.2.1.43.10.2.1.4)' };
+  }
+
+  if (snmp !== undefined) {
+    if (!esObjeto(snmp)) {
+      return { error: 'snmp debe ser un objeto' };
+    }
+    if (snmp.v3 !== undefined && !esObjeto(snmp.v3)) {
+      return { error: 'snmp.v3 debe ser un objeto' };
+    }
+
+    const previo = actual.snmp || DEFAULTS.snmp;
+    const version = snmp.version || previo.version;
+    if (!['v1', 'v2c', 'v3'].includes(version)) {
+      return { error: 'snmp.version debe ser v1, v2c o v3' };
+    }
+    if (snmp.community !== undefined && typeof snmp.community !== 'string') {
+      return { error: 'snmp.community debe ser texto' };
+    }
+    for (const campo of ['usuario', 'claveAuth', 'clavePriv']) {
+      if (!esTextoONulo(snmp.v3?.[campo])) {
+        return { error: `snmp.v3.${campo} debe ser texto` };
+      }
+    }
+    for (const [campo, validos] of Object.entries(ENUMS_V3)) {
+      const valor = snmp.v3?.[campo];
+      if (valor !== undefined && valor !== null && !validos.includes(valor)) {
+        return { error: `snmp.v3.${campo} debe ser ${validos.join(', ')} o null` };
+      }
+    }
+
+    const secreto = (nuevo, anterior) => (nuevo === MASCARA || nuevo === undefined ? anterior : nuevo);
+    const v3 = snmp.v3 || {};
+    cambios.snmp = {
+      version,
+      community: secreto(snmp.community, previo.community),
+      v3: {
+        usuario: v3.usuario !== undefined ? v3.usuario : (previo.v3?.usuario ?? null),
+        nivelSeguridad: v3.nivelSeguridad !== undefined ? v3.nivelSeguridad : (previo.v3?.nivelSeguridad ?? null),
+        protocoloAuth: v3.protocoloAuth !== undefined ? v3.protocoloAuth : (previo.v3?.protocoloAuth ?? null),
+        claveAuth: secreto(v3.claveAuth, previo.v3?.claveAuth ?? null),
+        protocoloPriv: v3.protocoloPriv !== undefined ? v3.protocoloPriv : (previo.v3?.protocoloPriv ?? null),
+        clavePriv: secreto(v3.clavePriv, previo.v3?.clavePriv ?? null)
+      }
+    };
+
+    if (version === 'v3' && !cambios.snmp.v3.usuario) {
+      return { error: 'snmp.v3.usuario es obligatorio para SNMP v3' };
+    }
+  }
+
+  return { cambios };
+}
+
+/**
+ * Guarda cambios de la config e incrementa la versión.
+ */
+async function guardarConfig(empresaId, cambios, actualizadoPor = null) {
+  return AgenteConfig.findOneAndUpdate(
+    { empresaId },
+    {
+      $set: { ...cambios, actualizadoPor, updatedAt: new Date() },
+      $inc: { version: 1 },
+      $setOnInsert: { createdAt: new Date() }
+    },
+    { new: true, upsert: true, runValidators: true }
+  ).lean();
+}
+
+module.exports = {
+  MASCARA,
+  obtenerConfig,
+  formatoAgente,
+  configSiDesactualizada,
+  enmascarar,
+  validarCambios,
+  guardarConfig
+};
@@ -0,0 +1,87 @@
+const Agente = require('../models/Agente');
+const { computeAgenteOnline } = require('./onlineStatus');
+
+// Id usado cuando un agente viejo no manda su agentId
+const AGENTE_DEFAULT = 'default';
+
+/**
+ * IP de origen del request (Railway pasa la real en x-forwarded-for).
+ */
+function ipDeRequest(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) return String(forwarded).split(',')[0].trim();
+  return req.ip || null;
+}
+
+/**
+ * Upsert del agente que está hablando con el backend.
+ * tipo: 'heartbeat' | 'ingesta' (cuál timestamp se actualiza)
+ */
+async function registrarActividadAgente(empresa, datos, req, tipo = 'heartbeat') {
+  const {
+    agentId = AGENTE_DEFAULT,
+    agentVersion = null,
+    hostname = null,
+    os = null,
+    ip = null
+  } = datos || {};
+
+  const set = { ipPublica: ipDeRequest(req) };
+  if (agentVersion) set.agentVersion = agentVersion;
+  if (hostname) set.hostname = hostname;
+  if (os) set.os = os;
+  if (ip) set.ip = ip;
+  set[tipo === 'ingesta' ? 'ultimaIngesta' : 'ultimoHeartbeat'] = new Date();
+
+  return Agente.findOneAndUpdate(
+    { empresaId: empresa._id, agentId: String(agentId) },
+    { $set: set, $setOnInsert: { createdAt: new Date() } },
+    { new: true, upsert: true }
+  );
+}
+
+/**
+ * Agentes agrupados por empresa: Map(empresaId -> [agentes])
+ */
+async function agentesPorEmpresa(empresaIds) {
+  const mapa = new Map();
+  if (empresaIds.length === 0) return mapa;
+
+  const agentes = await Agente.find({ empresaId: { $in: empresaIds } }).lean();
+  for (const a of agentes) {
+    const key = String(a.empresaId);
+    if (!mapa.has(key)) mapa.set(key, []);
+    mapa.get(key).push(a);
+  }
+  return mapa;
+}
+
+/**
+ * Resumen para listas: { total, online, estado: 'online' | 'sin_conexion' | 'sin_agentes', ultimoContacto }
+ */
+function resumenAgentes(agentes = [], now = Date.now()) {
+  if (agentes.length === 0) {
+    return { total: 0, online: 0, estado: 'sin_agentes', ultimoContacto: null };
+  }
+
+  const online = agentes.filter(a => computeAgenteOnline(a, now)).length;
+  const ultimoContacto = agentes
+    .flatMap(a => [a.ultimoHeartbeat, a.ultimaIngesta])
+    .filter(Boolean)
+    .map(f => new Date(f))
+    .sort((a, b) => b - a)[0] || null;
+
+  return {
+    total: agentes.length,
+    online,
+    estado: online > 0 ? 'online' : 'sin_conexion',
+    ultimoContacto
+  };
+}
+
+module.exports = {
+  AGENTE_DEFAULT,
+  registrarActividadAgente,
+  agentesPorEmpresa,
+  resumenAgentes
+};
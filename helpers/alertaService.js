@@ -4,6 +4,10 @@ const Alerta = require('../models/Alerta');
 const DeviceToken = require('../models/DeviceToken');
 const ImpresoraLatest = require('../models/ImpresoraLatest');
 const { enviarPush } = require('./fcmService');
+const { clasificarSuministro, esReceptaculo } = require('./clasificadorSuministros');
+const { normalizarNivel, ESTADO_OK } = require('./nivelSuministro');
+const { tieneBeneficio } = require('./beneficiosPlan');
+const { filtroDueno } = require('./roles');
 
 // Umbral fijo de "crítico" (siempre 5%)
 const NIVEL_CRITICO = 5;
@@ -11,15 +15,51 @@ const NIVEL_CRITICO = 5;
 // Si el nivel sube más de este delta, asumimos cambio de cartucho
 const DELTA_RESET_CARTUCHO = 30;
 
+// Nombre para los títulos de push según tipo de suministro
+const ETIQUETAS_TIPO = {
+  toner: 'tóner',
+  ink: 'tinta',
+  drum: 'tambor',
+  fuser: 'fusor',
+  transfer: 'unidad de transferencia',
+  staples: 'grapas',
+  otro: 'suministro'
+};
+
+/**
+ * Títulos del push por nivel escalado. Tóner conserva los textos de siempre;
+ * los residuos se anuncian como "lleno" (su nivel es espacio restante).
+ */
+function titulosPorTipo(tipo, nombreImpresora) {
+  if (tipo === 'waste') {
+    return {
+      umbral: `Contenedor de residuos casi lleno en ${nombreImpresora} ⚠️ `,
+      mitad: `Contenedor de residuos muy lleno en ${nombreImpresora} 🟠`,
+      critico: `Crítico: contenedor de residuos lleno en ${nombreImpresora} 🔴`
+    };
+  }
+  if (!tipo || tipo === 'toner') {
+    return {
+      umbral: `Tóner bajo en ${nombreImpresora} ⚠️ `,
+      mitad: `Tóner muy bajo en ${nombreImpresora} 🟠`,
+      critico: `Crítico: tóner casi vacío en ${nombreImpresora} 🔴`
+    };
+  }
+  const etiqueta = ETIQUETAS_TIPO[tipo] || 'suministro';
+  return {
+    umbral: `Nivel bajo de ${etiqueta} en ${nombreImpresora} ⚠️ `,
+    mitad: `Nivel muy bajo de ${etiqueta} en ${nombreImpresora} 🟠`,
+    critico: `Crítico: ${etiqueta} casi agotado en ${nombreImpresora} 🔴`
+  };
+}
+
 /**
  * Calcula el porcentaje real de un supply.
+ * Retorna null si el nivel no es medible (-2 desconocido, -3 "queda algo" de SNMP).
  */
 function calcularPorcentaje(supply) {
-  const level = Number(supply?.level);
-  const max = Number(supply?.max);
-  if (!isFinite(level)) return null;
-  if (isFinite(max) && max > 0) return (level / max) * 100;
-  return level; // asumir que level ya es porcentaje
+  const { estadoNivel, porcentaje } = normalizarNivel(supply);
+  return estadoNivel === ESTADO_OK ? porcentaje : null;
 }
 
 /**
@@ -46,20 +86,37 @@ function debeDisparar(nivelNuevo, ultimoDisparado) {
 }
 
 /**
- * Envía push a todos los devices activos de una ciudad.
+ * Envía push a los devices activos de la cuenta dueña de la impresora
+ * (empresaId + ciudad de su Empresa, como helpers/avisosCuenta).
+ * Solo si el plan del dueño incluye el canal 'push' (beneficio canalesAlerta).
  */
-async function notificarDevices(ciudad, titulo, cuerpo, data) {
-  const devices = await DeviceToken.find({ ciudad, activo: true }).lean();
+async function notificarDevices(impresora, titulo, cuerpo, data) {
+  const Empresa = require('../models/Empresa');
+  const cliente = await Empresa.findById(impresora.empresaId).select('empresaId ciudad').lean();
+  if (!cliente) return [];
+  const { empresaId, ciudad } = cliente;
+
+  const Usuario = require('../models/Usuario');
+  const dueno = await Usuario.findOne(filtroDueno(empresaId, ciudad)).lean();
+  if (!tieneBeneficio(dueno, 'canalesAlerta', 'push')) {
+    console.log(`Push de alertas no incluido en el plan de empresaId="${empresaId}"`);
+    return [];
+  }
+
+  const devices = await DeviceToken.find({ empresaId, ciudad, activo: true }).lean();
 
   if (devices.length === 0) {
-    console.log(`Sin devices activos para ciudad="${ciudad}"`);
+    console.log(`Sin devices activos para empresaId="${empresaId}" ciudad="${ciudad}"`);
     return [];
   }
 
+  // El badge cuenta solo alertas de los clientes de la misma cuenta
+  const clientesCuenta = await Empresa.find({ empresaId, ciudad }).distinct('_id');
+
   const resultados = [];
   for (const device of devices) {
     const unreadCount = await Alerta.countDocuments({
-      ciudad,
+      empresaId: { $in: clientesCuenta },
       leidaPor: { $ne: device.email }
     });
     const badgeCount = unreadCount + 1;
@@ -106,14 +163,24 @@ async function procesarPosibleAlerta(impresora, supplies) {
 
     const nuevoTracking = [];
     const disparos = []; // alertas a disparar
+    const tiposMonitoreados = Array.isArray(config.tiposSuministro) ? config.tiposSuministro : ['toner', 'ink'];
 
-    for (const supply of supplies) {
-      if (!supply?.name) continue;
+    for (const supplyOriginal of supplies) {
+      if (!supplyOriginal?.name) continue;
 
-      const porcentaje = calcularPorcentaje(supply);
-      if (porcentaje === null) continue;
+      // 🆕 Solo los tipos que el usuario eligió en AlertaConfig.tiposSuministro
+      const supply = supplyOriginal.tipo ? supplyOriginal : { ...supplyOriginal, ...clasificarSuministro(supplyOriginal) };
+      if (!tiposMonitoreados.includes(supply.tipo)) continue;
 
       const previo = mapPrevio[supply.name];
+
+      // Nivel no medible: sin alerta, pero conservamos el tracking para no re-disparar al volver
+      const porcentaje = calcularPorcentaje(supply);
+      if (porcentaje === null) {
+        if (previo) nuevoTracking.push(previo);
+        continue;
+      }
+
       let cicloActual = previo?.cicloActual || 1;
       let ultimoUmbralDisparado = previo?.ultimoUmbralDisparado || null;
 
@@ -129,6 +196,8 @@ async function procesarPosibleAlerta(impresora, supplies) {
       if (debeDisparar(nivelEscalado, ultimoUmbralDisparado)) {
         disparos.push({
           supplyName: supply.name,
+          tipoSuministro: supply.tipo,
+          receptaculo: esReceptaculo(supply),
           nivel: Math.round(porcentaje * 10) / 10,
           nivelEscalado,
           cicloId: `${impresora._id}-${supply.name}-c${cicloActual}`
@@ -158,23 +227,22 @@ async function procesarPosibleAlerta(impresora, supplies) {
 
     for (const d of disparos) {
       const nombreImpresora = impresora.customName || impresora.printerName || impresora.host;
-      const titulos = {
-        umbral: `Tóner bajo en ${nombreImpresora} ⚠️ `,
-        mitad: `Tóner muy bajo en ${nombreImpresora} 🟠`,
-        critico: `Crítico: tóner casi vacío en ${nombreImpresora} 🔴`
-      };
-      const cuerpo = nombreCliente
-        ? `${nombreCliente} · ${d.supplyName}: ${d.nivel}%`
+      const titulos = titulosPorTipo(d.tipoSuministro, nombreImpresora);
+      // Receptáculos: el nivel es espacio libre, al usuario le mostramos qué tan lleno está
+      const detalle = d.receptaculo
+        ? `${d.supplyName}: ${Math.round((100 - d.nivel) * 10) / 10}% lleno`
         : `${d.supplyName}: ${d.nivel}%`;
+      const cuerpo = nombreCliente ? `${nombreCliente} · ${detalle}` : detalle;
 
       const destinatariosEnviados = await notificarDevices(
-        impresora.ciudad,
+        impresora,
         titulos[d.nivelEscalado],
         cuerpo,
         {
           tipoAlerta: 'TONER_BAJO',
           printerId: impresora._id.toString(),
           supplyName: d.supplyName,
+          tipoSuministro: d.tipoSuministro,
           nivel: d.nivel,
           nivelEscalado: d.nivelEscalado
         }
@@ -186,6 +254,7 @@ async function procesarPosibleAlerta(impresora, supplies) {
         ciudad: impresora.ciudad,
         tipoAlerta: 'TONER_BAJO',
         supplyName: d.supplyName,
+        tipoSuministro: d.tipoSuministro,
         nivel: d.nivel,
         nivelEscalado: d.nivelEscalado,
         cicloId: d.cicloId,
@@ -201,13 +270,283 @@ async function procesarPosibleAlerta(impresora, supplies) {
   }
 }
 
+// 🆕 Errores de estado que generan alerta (el resto solo se muestra en el detalle)
+const TIPO_ALERTA_POR_CODIGO = {
+  papel_atascado: 'PAPEL_ATASCADO',
+  puerta_abierta: 'PUERTA_ABIERTA',
+  sin_papel: 'SIN_PAPEL',
+  servicio_requerido: 'SERVICIO_REQUERIDO'
+};
+
+const TITULOS_ESTADO = {
+  PAPEL_ATASCADO: (n) => `Papel atascado en ${n} 📄`,
+  PUERTA_ABIERTA: (n) => `Puerta abierta en ${n} 🚪`,
+  SIN_PAPEL: (n) => `Sin papel en ${n} 📭`,
+  SERVICIO_REQUERIDO: (n) => `${n} requiere servicio 🔧`
+};
+
+/**
+ * Dispara y resuelve alertas de estado comparando los errores activos
+ * de la lectura nueva contra los de la lectura anterior.
+ *
+ * @param {Object} impresora - documento de Impresora
+ * @param {Array} erroresNuevos - [{codigo, descripcion}] de la lectura nueva
+ * @param {Array} erroresPrevios - [{codigo, descripcion, desde}] guardados en ImpresoraLatest
+ * @param {Object} [opciones]
+ * @param {Boolean} [opciones.porBandeja] - la lectura trae bandejas: SIN_PAPEL lo decide procesarBandejas
+ *   con AlertaConfig.bandejasSinPapel, así que el sin_papel genérico no dispara
+ */
+async function procesarEstadoImpresora(impresora, erroresNuevos = [], erroresPrevios = [], opciones = {}) {
+  try {
+    if (!impresora) return;
+
+    const codigosNuevos = new Set(erroresNuevos.map(e => e.codigo).filter(c => TIPO_ALERTA_POR_CODIGO[c]));
+    if (opciones.porBandeja) codigosNuevos.delete('sin_papel');
+    const codigosPrevios = new Set(erroresPrevios.map(e => e.codigo).filter(c => TIPO_ALERTA_POR_CODIGO[c]));
+
+    const aparecen = [...codigosNuevos].filter(c => !codigosPrevios.has(c));
+    const desaparecen = [...codigosPrevios].filter(c => !codigosNuevos.has(c));
+    if (aparecen.length === 0 && desaparecen.length === 0) return;
+
+    const config = await AlertaConfig.findOne({ printerId: impresora._id }).lean();
+    if (!config || !config.activa || config.alertasEstado === false) return;
+
+    const Empresa = require('../models/Empresa');
+    const clienteDoc = await Empresa.findById(impresora.empresaId).select('nombre').lean();
+    const nombreCliente = clienteDoc?.nombre || null;
+    const nombreImpresora = impresora.customName || impresora.printerName || impresora.host;
+
+    for (const codigo of aparecen) {
+      const tipoAlerta = TIPO_ALERTA_POR_CODIGO[codigo];
+      const descripcion = erroresNuevos.find(e => e.codigo === codigo)?.descripcion || codigo;
+      const cuerpo = nombreCliente ? `${nombreCliente} · ${descripcion}` : descripcion;
+
+      const destinatariosEnviados = await notificarDevices(
+        impresora,
+        TITULOS_ESTADO[tipoAlerta](nombreImpresora),
+        cuerpo,
+        {
+          tipoAlerta,
+          printerId: impresora._id.toString(),
+          codigoEstado: codigo
+        }
+      );
+
+      await Alerta.create({
+        printerId: impresora._id,
+        empresaId: impresora.empresaId,
+        ciudad: impresora.ciudad,
+        tipoAlerta,
+        codigoEstado: codigo,
+        destinatariosEnviados,
+        enviadoEn: new Date()
+      });
+
+      console.log(`🔔 Alerta de estado: ${nombreImpresora} ${tipoAlerta} → ${destinatariosEnviados.length} devices`);
+    }
+
+    for (const codigo of desaparecen) {
+      const tipoAlerta = TIPO_ALERTA_POR_CODIGO[codigo];
+      const abierta = await Alerta.findOneAndUpdate(
+        { printerId: impresora._id, tipoAlerta, codigoEstado: codigo, resueltaEn: null },
+        { $set: { resueltaEn: new Date() } },
+        { sort: { enviadoEn: -1 }, new: true }
+      );
+      if (!abierta) continue;
+
+      const descripcion = erroresPrevios.find(e => e.codigo === codigo)?.descripcion || codigo;
+      await notificarDevices(
+        impresora,
+        `Resuelto en ${nombreImpresora} ✅`,
+        nombreCliente ? `${nombreCliente} · ${descripcion}: resuelto` : `${descripcion}: resuelto`,
+        {
+          tipoAlerta,
+          printerId: impresora._id.toString(),
+          codigoEstado: codigo,
+          resuelta: true
+        }
+      );
+      console.log(`✅ Alerta de estado resuelta: ${nombreImpresora} ${tipoAlerta}`);
+    }
+  } catch (err) {
+    console.error('❌ Error en AlertaService.procesarEstadoImpresora:', err);
+  }
+}
+
+/**
+ * 🆕 Dispara y resuelve SIN_PAPEL por bandeja, solo para las bandejas
+ * que el usuario eligió en AlertaConfig.bandejasSinPapel.
+ *
+ * @param {Object} impresora - documento de Impresora
+ * @param {Array} bandejasNuevas - lastTrays normalizadas de la lectura nueva
+ * @param {Array} bandejasPrevias - lastTrays guardadas en ImpresoraLatest
+ */
+async function procesarBandejas(impresora, bandejasNuevas = [], bandejasPrevias = []) {
+  try {
+    if (!impresora) return;
+
+    const previas = new Map(bandejasPrevias.map(b => [b.name, b]));
+    const vacias = bandejasNuevas.filter(b => b.estado === 'vacia' && previas.get(b.name)?.estado !== 'vacia');
+    const rellenadas = bandejasNuevas.filter(b => b.estado !== 'vacia' && previas.get(b.name)?.estado === 'vacia');
+    if (vacias.length === 0 && rellenadas.length === 0) return;
+
+    const config = await AlertaConfig.findOne({ printerId: impresora._id }).lean();
+    if (!config || !config.activa) return;
+    const elegidas = new Set(config.bandejasSinPapel || []);
+
+    const Empresa = require('../models/Empresa');
+    const clienteDoc = await Empresa.findById(impresora.empresaId).select('nombre').lean();
+    const nombreCliente = clienteDoc?.nombre || null;
+    const nombreImpresora = impresora.customName || impresora.printerName || impresora.host;
+
+    for (const bandeja of vacias.filter(b => elegidas.has(b.name))) {
+      const detalle = bandeja.mediaSize ? `${bandeja.name} (${bandeja.mediaSize}) sin papel` : `${bandeja.name} sin papel`;
+
+      const destinatariosEnviados = await notificarDevices(
+        impresora,
+        `Sin papel en ${nombreImpresora} 📭`,
+        nombreCliente ? `${nombreCliente} · ${detalle}` : detalle,
+        {
+          tipoAlerta: 'SIN_PAPEL',
+          printerId: impresora._id.toString(),
+          bandeja: bandeja.name
+        }
+      );
+
+      await Alerta.create({
+        printerId: impresora._id,
+        empresaId: impresora.empresaId,
+        ciudad: impresora.ciudad,
+        tipoAlerta: 'SIN_PAPEL',
+        codigoEstado: 'bandeja_vacia',
+        supplyName: bandeja.name,
+        destinatariosEnviados,
+        enviadoEn: new Date()
+      });
+
+      console.log(`🔔 Bandeja sin papel: ${nombreImpresora} ${bandeja.name} → ${destinatariosEnviados.length} devices`);
+    }
+
+    for (const bandeja of rellenadas) {
+      await Alerta.updateMany(
+        { printerId: impresora._id, tipoAlerta: 'SIN_PAPEL', codigoEstado: 'bandeja_vacia', supplyName: bandeja.name, resueltaEn: null },
+        { $set: { resueltaEn: new Date() } }
+      );
+    }
+  } catch (err) {
+    console.error('❌ Error en AlertaService.procesarBandejas:', err);
+  }
+}
+
+/**
+ * "2 h 15 min", "45 min", "3 d 4 h"
+ */
+function formatearDuracion(ms) {
+  const min = Math.max(1, Math.round(ms / 60000));
+  const d = Math.floor(min / 1440);
+  const h = Math.floor((min % 1440) / 60);
+  const m = min % 60;
+  if (d > 0) return h > 0 ? `${d} d ${h} h` : `${d} d`;
+  if (h > 0) return m > 0 ? `${h} h ${m} min` : `${h} h`;
+  return `${m} min`;
+}
+
+/**
+ * 🆕 Dispara la alerta IMPRESORA_OFFLINE (una por caída).
+ * Lo llama el cron de offline; la config ya viene resuelta por él.
+ *
+ * @param {Object} impresora - documento de Impresora
+ * @param {Object} latest - documento ImpresoraLatest (para lastSeenAt)
+ * @param {String} estadoConexion - 'impresora_offline' | 'agente_sin_conexion'
+ */
+async function notificarImpresoraOffline(impresora, latest, estadoConexion = 'impresora_offline') {
+  const Empresa = require('../models/Empresa');
+  const clienteDoc = await Empresa.findById(impresora.empresaId).select('nombre').lean();
+  const nombreCliente = clienteDoc?.nombre || null;
+  const nombreImpresora = impresora.customName || impresora.printerName || impresora.host;
+
+  const motivo = estadoConexion === 'agente_sin_conexion'
+    ? 'El agente del sitio no responde'
+    : 'La impresora no responde';
+  const hace = formatearDuracion(Date.now() - new Date(latest.lastSeenAt).getTime());
+  const cuerpo = nombreCliente
+    ? `${nombreCliente} · ${motivo} (hace ${hace})`
+    : `${motivo} (hace ${hace})`;
+
+  const destinatariosEnviados = await notificarDevices(
+    impresora,
+    `${nombreImpresora} fuera de línea 📴`,
+    cuerpo,
+    {
+      tipoAlerta: 'IMPRESORA_OFFLINE',
+      printerId: impresora._id.toString(),
+      estadoConexion
+    }
+  );
+
+  const alerta = await Alerta.create({
+    printerId: impresora._id,
+    empresaId: impresora.empresaId,
+    ciudad: impresora.ciudad,
+    tipoAlerta: 'IMPRESORA_OFFLINE',
+    codigoEstado: estadoConexion,
+    destinatariosEnviados,
+    enviadoEn: new Date()
+  });
+
+  console.log(`📴 Alerta offline: ${nombreImpresora} (${estadoConexion}) → ${destinatariosEnviados.length} devices`);
+  return alerta;
+}
+
+/**
+ * 🆕 La impresora volvió a reportar: resuelve la alerta offline abierta
+ * y avisa con la duración de la caída. No hace nada si nunca se alertó.
+ */
+async function notificarImpresoraEnLinea(impresora, offlineDesde, ahora = new Date()) {
+  try {
+    const abierta = await Alerta.findOneAndUpdate(
+      { printerId: impresora._id, tipoAlerta: 'IMPRESORA_OFFLINE', resueltaEn: null },
+      { $set: { resueltaEn: ahora } },
+      { sort: { enviadoEn: -1 }, new: true }
+    );
+    if (!abierta) return;
+
+    const Empresa = require('../models/Empresa');
+    const clienteDoc = await Empresa.findById(impresora.empresaId).select('nombre').lean();
+    const nombreCliente = clienteDoc?.nombre || null;
+    const nombreImpresora = impresora.customName || impresora.printerName || impresora.host;
+    const duracion = formatearDuracion(ahora - new Date(offlineDesde));
+
+    await notificarDevices(
+      impresora,
+      `${nombreImpresora} de nuevo en línea ✅`,
+      nombreCliente
+        ? `${nombreCliente} · Estuvo fuera de línea ${duracion}`
+        : `Estuvo fuera de línea ${duracion}`,
+      {
+        tipoAlerta: 'IMPRESORA_OFFLINE',
+        printerId: impresora._id.toString(),
+        resuelta: true
+      }
+    );
+    console.log(`✅ ${nombreImpresora} de nuevo en línea tras ${duracion}`);
+  } catch (err) {
+    console.error('❌ Error en AlertaService.notificarImpresoraEnLinea:', err);
+  }
+}
+
 module.exports = {
   procesarPosibleAlerta,
+  procesarEstadoImpresora,
+  procesarBandejas,
+  notificarImpresoraOffline,
+  notificarImpresoraEnLinea,
   // Exportados para tests unitarios futuros
   _internal: {
     calcularPorcentaje,
     determinarNivelEscalado,
     debeDisparar,
+    formatearDuracion,
     NIVEL_CRITICO,
     DELTA_RESET_CARTUCHO
   }
@@ -0,0 +1,17 @@
+const ESTADO_APROBADA = 'aprobada';
+const ESTADO_PENDIENTE = 'pendiente';
+
+/**
+ * ¿La lectura corresponde a una impresora que el usuario ignoró?
+ * Si la entrada tiene serial se compara por serial (la IP puede reasignarse a otro equipo);
+ * si no, por host.
+ */
+function estaIgnorada(empresa, host, serial) {
+  return (empresa?.impresorasIgnoradas || []).some(i =>
+    i.serial
+      ? (serial ? i.serial === serial : i.host === host)
+      : i.host === host
+  );
+}
+
+module.exports = { ESTADO_APROBADA, ESTADO_PENDIENTE, estaIgnorada };
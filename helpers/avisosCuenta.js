@@ -0,0 +1,48 @@
+const AvisoCuenta = require('../models/AvisoCuenta');
+const DeviceToken = require('../models/DeviceToken');
+const { enviarPush } = require('./fcmService');
+
+/**
+ * Guarda un aviso in-app para la cuenta del usuario y lo manda por push
+ * a sus dispositivos activos. Un fallo de push no impide guardar el aviso.
+ *
+ * @param {Object} usuario - Usuario ({ empresaId, ciudad })
+ * @param {String} tipo - AvisoCuenta.tipo
+ * @returns {Promise<Object>} AvisoCuenta creado
+ */
+async function enviarAvisoCuenta(usuario, tipo, titulo, cuerpo, data = {}) {
+  const devices = await DeviceToken.find({
+    empresaId: usuario.empresaId,
+    ciudad: usuario.ciudad,
+    activo: true
+  }).lean();
+
+  const destinatariosEnviados = [];
+  for (const device of devices) {
+    const result = await enviarPush(device.token, titulo, cuerpo, { tipo, ...data });
+    destinatariosEnviados.push({
+      email: device.email,
+      deviceToken: device.token,
+      platform: device.platform,
+      messageId: result.messageId || null,
+      estado: result.ok ? 'sent' : 'failed',
+      error: result.error || null
+    });
+
+    if (!result.ok && result.error?.includes('registration-token-not-registered')) {
+      await DeviceToken.updateOne({ _id: device._id }, { $set: { activo: false } });
+    }
+  }
+
+  return AvisoCuenta.create({
+    empresaId: usuario.empresaId,
+    ciudad: usuario.ciudad || null,
+    tipo,
+    titulo,
+    cuerpo,
+    data,
+    destinatariosEnviados
+  });
+}
+
+module.exports = { enviarAvisoCuenta };
@@ -0,0 +1,56 @@
+const { normalizarNivel, ESTADO_OK, ESTADO_ALGO_RESTANTE } = require('./nivelSuministro');
+
+// Debajo de este % una bandeja se reporta como "baja"
+const PORCENTAJE_BAJA = 10;
+
+// prtInputStatus (PrtSubUnitStatusTC): bits 0-2 disponibilidad, bit 4 alertas críticas
+const DISPONIBILIDAD_ROTA = 5;
+const BIT_ALERTA_CRITICA = 16;
+
+function numeroONull(valor) {
+  return valor != null && Number.isFinite(Number(valor)) ? Number(valor) : null;
+}
+
+/**
+ * Estado de una bandeja: 'ok' | 'baja' | 'vacia' | 'error' | 'desconocido'
+ */
+function estadoBandeja(bandeja) {
+  const { status } = bandeja;
+  if (status != null && ((status & 7) === DISPONIBILIDAD_ROTA || (status & BIT_ALERTA_CRITICA))) {
+    return 'error';
+  }
+
+  if (bandeja.estadoNivel === ESTADO_ALGO_RESTANTE) return 'ok';
+  if (bandeja.estadoNivel !== ESTADO_OK) return 'desconocido';
+  if (Number(bandeja.level) === 0) return 'vacia';
+  if (bandeja.porcentaje <= PORCENTAJE_BAJA) return 'baja';
+  return 'ok';
+}
+
+/**
+ * Normaliza las bandejas de entrada (estilo prtInputTable) que manda el agente.
+ * Entrada: [{ name, mediaSize, capacity, level, status }]
+ * Retorna null si el agente no mandó bandejas (agentes viejos).
+ */
+function normalizarBandejas(trays) {
+  if (!Array.isArray(trays)) return null;
+
+  return trays
+    .filter(t => t && (t.name || t.index != null))
+    .map((t, i) => {
+      const capacity = numeroONull(t.capacity);
+      const level = numeroONull(t.level);
+      const bandeja = {
+        indice: numeroONull(t.index) ?? i + 1,
+        name: t.name ? String(t.name) : `Bandeja ${i + 1}`,
+        mediaSize: t.mediaSize ? String(t.mediaSize) : null,
+        capacity,
+        level,
+        status: numeroONull(t.status),
+        ...normalizarNivel({ level, max: capacity })
+      };
+      return { ...bandeja, estado: estadoBandeja(bandeja) };
+    });
+}
+
+module.exports = { PORCENTAJE_BAJA, normalizarBandejas };
@@ -0,0 +1,89 @@
+const { obtenerLimitePorPlan } = require('./limitesPlan');
+
+/**
+ * Funcionalidades por plan (además del límite de impresoras de LIMITES_POR_PLAN).
+ *  - canalesAlerta: por dónde pueden salir las alertas (hoy solo existe 'push')
+ *  - pdfMarcaPropia: reporte de corte sin la marca Grape (marca blanca)
+ *  - retencionHistorialDias: hasta dónde se puede consultar el historial de muestras
+ *  - maxUsuarios: usuarios por cuenta (tenant)
+ */
+const BENEFICIOS_POR_PLAN = {
+  trial: {
+    canalesAlerta: ['push'],
+    pdfMarcaPropia: false,
+    retencionHistorialDias: 30,
+    maxUsuarios: 1
+  },
+  trial_expirado: {
+    canalesAlerta: [],
+    pdfMarcaPropia: false,
+    retencionHistorialDias: 7,
+    maxUsuarios: 1
+  },
+  starter: {
+    canalesAlerta: ['push'],
+    pdfMarcaPropia: false,
+    retencionHistorialDias: 90,
+    maxUsuarios: 2
+  },
+  pro: {
+    canalesAlerta: ['push'],
+    pdfMarcaPropia: true,
+    retencionHistorialDias: 365,
+    maxUsuarios: 5
+  },
+  enterprise: {
+    canalesAlerta: ['push'],
+    pdfMarcaPropia: true,
+    retencionHistorialDias: 730,
+    maxUsuarios: 25
+  },
+  custom: {
+    canalesAlerta: ['push'],
+    pdfMarcaPropia: true,
+    retencionHistorialDias: 1825,
+    maxUsuarios: 100
+  }
+};
+
+/**
+ * Beneficios efectivos de un usuario: los de su plan + sus overrides (Usuario.beneficios),
+ * igual que limiteImpresoras sobreescribe el límite del plan.
+ */
+function obtenerBeneficios(usuario) {
+  const base = BENEFICIOS_POR_PLAN[usuario?.plan] || BENEFICIOS_POR_PLAN.trial;
+  const overrides = usuario?.beneficios || {};
+
+  const beneficios = { ...base };
+  for (const clave of Object.keys(base)) {
+    if (overrides[clave] !== undefined && overrides[clave] !== null) beneficios[clave] = overrides[clave];
+  }
+  beneficios.limiteImpresoras = usuario?.limiteImpresoras ?? obtenerLimitePorPlan(usuario?.plan);
+  return beneficios;
+}
+
+/**
+ * ¿El usuario tiene el beneficio? Booleanos tal cual; listas si incluyen `valor`;
+ * números si son > 0 (o >= `valor` cuando se pasa).
+ */
+function tieneBeneficio(usuario, clave, valor) {
+  const actual = obtenerBeneficios(usuario)[clave];
+  if (Array.isArray(actual)) return valor === undefined ? actual.length > 0 : actual.includes(valor);
+  if (typeof actual === 'number') return valor === undefined ? actual > 0 : actual >= valor;
+  return !!actual;
+}
+
+/**
+ * Plan más barato que incluye el beneficio (para el prompt de upgrade).
+ */
+function planMinimoPara(clave, valor) {
+  const orden = ['starter', 'pro', 'enterprise'];
+  return orden.find(plan => tieneBeneficio({ plan }, clave, valor)) || null;
+}
+
+module.exports = {
+  BENEFICIOS_POR_PLAN,
+  obtenerBeneficios,
+  tieneBeneficio,
+  planMinimoPara
+};
@@ -0,0 +1,93 @@
+// Tipos que entiende AlertaConfig.tiposSuministro
+const TIPOS_SUMINISTRO = ['toner', 'ink', 'drum', 'waste', 'fuser', 'transfer', 'staples', 'otro'];
+
+// prtMarkerSuppliesClass (Printer-MIB): 3 = se consume, 4 = receptáculo que se llena
+const CLASE_CONSUMIBLE = 3;
+const CLASE_RECEPTACULO = 4;
+
+// prtMarkerSuppliesType (PrtMarkerSuppliesTypeTC) → tipo interno
+const TIPO_POR_SNMP = {
+  3: 'toner',
+  4: 'waste',      // wasteToner
+  5: 'ink',
+  6: 'ink',        // inkCartridge
+  8: 'waste',      // wasteInk
+  9: 'drum',       // opc
+  15: 'fuser',
+  20: 'transfer',
+  21: 'toner',     // tonerCartridge
+  32: 'staples'
+};
+
+// El orden importa: "waste toner" debe caer en waste antes que en toner
+const PATRONES_TIPO = [
+  ['waste', /waste|residu|desecho|recolector|collection|colector/i],
+  ['drum', /drum|tambor|opc|photo ?conductor|imaging (unit|drum)|unidad de imagen|fotoconductor/i],
+  ['fuser', /fuser|fusor|fixing|fijaci/i],
+  ['transfer', /transfer|belt|banda|itb|rodillo de transferencia/i],
+  ['staples', /staple|grapa/i],
+  ['ink', /\bink\b|tinta/i],
+  ['toner', /t[oó]ner/i]
+];
+
+const PATRONES_COLOR = [
+  ['black', /black|negro|\bbk\b|\bk\b|mono/i],
+  ['cyan', /cyan|cian|\bc\b/i],
+  ['magenta', /magenta|\bm\b/i],
+  ['yellow', /yellow|amarillo|\by\b/i]
+];
+
+/**
+ * Deriva tipo y color de un supply SNMP.
+ * Usa prtMarkerSuppliesType si el agente lo manda; si no, el nombre + prtMarkerSuppliesClass.
+ *
+ * @param {Object} supply - { name, level, max, class?, type? }
+ * @returns {{ tipo: String, color: String|null }}
+ */
+function clasificarSuministro(supply) {
+  const nombre = String(supply?.name || '');
+  const clase = Number(supply?.class);
+
+  let tipo = TIPO_POR_SNMP[Number(supply?.type)] || null;
+  if (!tipo) {
+    const match = PATRONES_TIPO.find(([, re]) => re.test(nombre));
+    tipo = match ? match[0] : null;
+  }
+  if (!tipo && clase === CLASE_RECEPTACULO) tipo = 'waste';
+
+  // Los residuos no tienen color útil (y "K" en "waste toner box K" confunde)
+  let color = null;
+  if (tipo !== 'waste') {
+    const match = PATRONES_COLOR.find(([, re]) => re.test(nombre));
+    color = match ? match[0] : null;
+  }
+
+  // "Black Cartridge 58A": consumible con color pero sin palabra clave → tóner
+  if (!tipo && color && (clase === CLASE_CONSUMIBLE || /cartridge|cartucho/i.test(nombre))) {
+    tipo = 'toner';
+  }
+
+  return { tipo: tipo || 'otro', color };
+}
+
+/**
+ * Agrega { tipo, color } a cada supply del payload.
+ */
+function clasificarSuministros(supplies) {
+  if (!Array.isArray(supplies)) return [];
+  return supplies.map(s => ({ ...s, ...clasificarSuministro(s) }));
+}
+
+/**
+ * Los receptáculos (residuos) reportan espacio restante: "bajo" significa "casi lleno".
+ */
+function esReceptaculo(supply) {
+  return supply?.tipo === 'waste' || Number(supply?.class) === CLASE_RECEPTACULO;
+}
+
+module.exports = {
+  TIPOS_SUMINISTRO,
+  clasificarSuministro,
+  clasificarSuministros,
+  esReceptaculo
+};
@@ -2,6 +2,37 @@ const MODO_GENERAL = 'general';
 const MODO_MONO = 'mono';
 const MODO_COLOR = 'color';
 
+// MARK: Contadores por funcion (opcionales, dependen del modelo de MFP)
+// payload: campo que manda el agente · latest: ImpresoraLatest · campo: sufijo en CortesMensuales
+const CONTADORES_FUNCION = [
+  { payload: 'pageCountCopy', latest: 'lastPageCopy', campo: 'Copia', etiqueta: 'Copias' },
+  { payload: 'pageCountPrint', latest: 'lastPagePrint', campo: 'Impresion', etiqueta: 'Impresiones' },
+  { payload: 'pageCountScan', latest: 'lastPageScan', campo: 'Escaneo', etiqueta: 'Escaneos' },
+  { payload: 'pageCountFax', latest: 'lastPageFax', campo: 'Fax', etiqueta: 'Fax' },
+  { payload: 'pageCountDuplex', latest: 'lastPageDuplex', campo: 'Duplex', etiqueta: 'Hojas dúplex' },
+  { payload: 'pageCountLarge', latest: 'lastPageLarge', campo: 'FormatoGrande', etiqueta: 'Formato grande (A3/Tabloide)' }
+];
+
+/**
+ * Inicio/fin/total de cada contador por función presente en ambos extremos del periodo.
+ * Los que no reporta la impresora quedan en null.
+ */
+function calcularContadoresFuncion(ultimoCorte, contadoresActuales, reinicios) {
+  const resultado = {};
+  for (const c of CONTADORES_FUNCION) {
+    const fin = contadoresActuales[c.latest] ?? null;
+    const inicio = ultimoCorte ? (ultimoCorte[`contadorFin${c.campo}`] ?? null) : fin;
+    const desglosa = inicio != null && fin != null;
+
+    resultado[`contadorInicio${c.campo}`] = desglosa ? inicio : null;
+    resultado[`contadorFin${c.campo}`] = fin;
+    resultado[`totalPaginas${c.campo}`] = desglosa
+      ? (ultimoCorte ? totalConReinicios(inicio, fin, reinicios, c.campo) : 0)
+      : null;
+  }
+  return resultado;
+}
+
 // MARK: Deteccion de capacidades
 function detectarModo(contadores) {
   const tieneMono = contadores.lastPageMono != null;
@@ -22,8 +53,79 @@ function formatearFecha(fecha, timezone) {
   }).format(fecha);
 }
 
+// MARK: Reinicios de contador
+const CONTADORES = [
+  { campo: 'General', latest: 'lastPageCount', lectura: 'pageCount' },
+  { campo: 'Mono', latest: 'lastPageMono', lectura: 'pageMono' },
+  { campo: 'Color', latest: 'lastPageColor', lectura: 'pageColor' },
+  // Los contadores por función también se reinician con el formatter: se cosen igual
+  ...CONTADORES_FUNCION.map(c => ({ campo: c.campo, latest: c.latest, lectura: c.payload }))
+];
+
+// Caída mínima (fracción del contador anterior) para considerarla reinicio y no ruido de SNMP
+const CAIDA_MINIMA_REINICIO = 0.05;
+
+/**
+ * Compara los contadores guardados con una lectura nueva.
+ * Retorna { antesGeneral, despuesGeneral, ... } si alguno retrocedió lo suficiente, o null.
+ */
+function detectarReinicio(latestPrevio, lectura) {
+  if (!latestPrevio) return null;
+
+  const evento = {};
+  let hayReinicio = false;
+
+  for (const c of CONTADORES) {
+    const antes = latestPrevio[c.latest];
+    const despues = lectura[c.lectura];
+    if (antes != null && despues != null && despues < antes * (1 - CAIDA_MINIMA_REINICIO)) {
+      evento[`antes${c.campo}`] = antes;
+      evento[`despues${c.campo}`] = despues;
+      hayReinicio = true;
+    }
+  }
+
+  return hayReinicio ? evento : null;
+}
+
+/**
+ * Un reinicio se confirma con dos lecturas bajas seguidas: una lectura aislada
+ * (p. ej. pageCount 0 y luego el valor normal) es un glitch y no se cose en el corte.
+ *
+ * @returns {{ reinicio: Object|null, pendiente: Object|null }}
+ *   reinicio: evento confirmado para guardar en ReinicioContador
+ *   pendiente: caída sin confirmar que se guarda en ImpresoraLatest.reinicioPendiente
+ */
+function resolverReinicio(latestPrevio, lectura) {
+  const caida = detectarReinicio(latestPrevio, lectura);
+  if (!caida) return { reinicio: null, pendiente: null };
+
+  if (latestPrevio.reinicioPendiente) {
+    return { reinicio: latestPrevio.reinicioPendiente, pendiente: null };
+  }
+
+  return { reinicio: null, pendiente: caida };
+}
+
+/**
+ * Suma las páginas de un contador a través de sus reinicios:
+ * (antes1 - inicio) + (antes2 - despues1) + ... + (fin - despuesN)
+ */
+function totalConReinicios(inicio, fin, reinicios, campo) {
+  let base = inicio;
+  let total = 0;
+
+  for (const r of reinicios) {
+    if (r[`antes${campo}`] == null || r[`despues${campo}`] == null) continue;
+    total += Math.max(0, r[`antes${campo}`] - base);
+    base = r[`despues${campo}`];
+  }
+
+  return total + Math.max(0, fin - base);
+}
+
 // MARK: Calculo de corte
-function calcularPeriodoCorte(ultimoCorte, contadoresActuales, timezone = 'America/Tijuana') {
+function calcularPeriodoCorte(ultimoCorte, contadoresActuales, timezone = 'America/Tijuana', reinicios = []) {
   const ahora = new Date();
   const modoDetectado = detectarModo(contadoresActuales);
 
@@ -47,7 +149,9 @@ function calcularPeriodoCorte(ultimoCorte, contadoresActuales, timezone = 'Ameri
       totalPaginasMono: finMono != null ? 0 : null,
       contadorInicioColor: finColor,
       contadorFinColor: finColor,
-      totalPaginasColor: finColor != null ? 0 : null
+      totalPaginasColor: finColor != null ? 0 : null,
+      ...calcularContadoresFuncion(null, contadoresActuales, []),
+      reiniciosContador: []
     };
   }
 
@@ -73,14 +177,31 @@ function calcularPeriodoCorte(ultimoCorte, contadoresActuales, timezone = 'Ameri
     periodo: `${formatearFecha(fechaInicio, timezone)} - ${formatearFecha(ahora, timezone)}`,
     contadorInicioGeneral: inicioGeneral,
     contadorFinGeneral: finGeneral,
-    totalPaginasGeneral: Math.max(0, finGeneral - inicioGeneral),
+    totalPaginasGeneral: totalConReinicios(inicioGeneral, finGeneral, reinicios, 'General'),
     contadorInicioMono: desglosaMono ? inicioMono : null,
     contadorFinMono: desglosaMono ? finMono : null,
-    totalPaginasMono: desglosaMono ? Math.max(0, finMono - inicioMono) : null,
+    totalPaginasMono: desglosaMono ? totalConReinicios(inicioMono, finMono, reinicios, 'Mono') : null,
     contadorInicioColor: desglosaColor ? inicioColor : null,
     contadorFinColor: desglosaColor ? finColor : null,
-    totalPaginasColor: desglosaColor ? Math.max(0, finColor - inicioColor) : null
+    totalPaginasColor: desglosaColor ? totalConReinicios(inicioColor, finColor, reinicios, 'Color') : null,
+    ...calcularContadoresFuncion(ultimoCorte, contadoresActuales, reinicios),
+    reiniciosContador: reinicios.map(r => ({
+      detectadoEn: r.detectadoEn,
+      antesGeneral: r.antesGeneral ?? null,
+      despuesGeneral: r.despuesGeneral ?? null,
+      antesMono: r.antesMono ?? null,
+      despuesMono: r.despuesMono ?? null,
+      antesColor: r.antesColor ?? null,
+      despuesColor: r.despuesColor ?? null
+    }))
   };
 }
 
-module.exports = { calcularPeriodoCorte };
\ No newline at end of file
+module.exports = {
+  CONTADORES,
+  CONTADORES_FUNCION,
+  calcularPeriodoCorte,
+  detectarReinicio,
+  resolverReinicio,
+  totalConReinicios
+};
\ No newline at end of file
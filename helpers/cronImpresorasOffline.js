@@ -0,0 +1,96 @@
+const cron = require('node-cron');
+const Impresora = require('../models/Impresora');
+const ImpresoraLatest = require('../models/ImpresoraLatest');
+const AlertaConfig = require('../models/AlertaConfig');
+const { ONLINE_STALE_MS, computeEstadoConexion } = require('./onlineStatus');
+const { agentesPorEmpresa } = require('./agentes');
+const { notificarImpresoraOffline } = require('./alertaService');
+
+// Caídas más viejas que esto se marcan sin push (evita avalancha al desplegar)
+const MAX_ANTIGUEDAD_AVISO_MS = 24 * 60 * 60 * 1000;
+
+// Gracia por defecto cuando la impresora no tiene AlertaConfig
+const GRACIA_DEFAULT_MIN = 10;
+
+/**
+ * Una pasada: busca impresoras sin reportar más allá de ONLINE_STALE_MS + gracia
+ * y abre una caída (offlineDesde) con su alerta. La caída se cierra en la ingesta.
+ */
+async function detectarImpresorasOffline(ahora = new Date()) {
+  // El join descarta desde Mongo las pausadas y los latest huérfanos (impresora borrada o ignorada);
+  // impresoras viejas sin monitoreoActivo cuentan como monitoreadas (default true)
+  const candidatos = await ImpresoraLatest.aggregate([
+    {
+      $match: {
+        offlineDesde: null,
+        lastSeenAt: { $ne: null, $lt: new Date(ahora.getTime() - ONLINE_STALE_MS) }
+      }
+    },
+    {
+      $lookup: {
+        from: Impresora.collection.name,
+        localField: 'printerId',
+        foreignField: '_id',
+        pipeline: [{ $match: { monitoreoActivo: { $ne: false } } }],
+        as: 'impresora'
+      }
+    },
+    { $unwind: '$impresora' }
+  ]);
+  if (candidatos.length === 0) return 0;
+
+  const printerIds = candidatos.map(l => l.printerId);
+  const configs = await AlertaConfig.find({ printerId: { $in: printerIds } }).lean();
+  const mapConfigs = new Map(configs.map(c => [String(c.printerId), c]));
+  const agentes = await agentesPorEmpresa([...new Set(candidatos.map(l => String(l.impresora.empresaId)))]);
+
+  let abiertas = 0;
+  for (const { impresora, ...latest } of candidatos) {
+    const config = mapConfigs.get(String(latest.printerId));
+    const graciaMs = (config?.offlineGraciaMin ?? GRACIA_DEFAULT_MIN) * 60 * 1000;
+    const edad = ahora - new Date(latest.lastSeenAt);
+    if (edad < ONLINE_STALE_MS + graciaMs) continue;
+
+    // Marcar primero: si el push falla no reintentamos en cada pasada
+    const marcado = await ImpresoraLatest.updateOne(
+      { _id: latest._id, offlineDesde: null },
+      { $set: { offlineDesde: latest.lastSeenAt } }
+    );
+    if (marcado.modifiedCount === 0) continue;
+    abiertas++;
+
+    const debeAvisar = config?.activa && config.alertasOffline !== false && edad <= MAX_ANTIGUEDAD_AVISO_MS;
+    if (!debeAvisar) continue;
+
+    try {
+      const estadoConexion = computeEstadoConexion(latest, agentes.get(String(impresora.empresaId)) || [], ahora.getTime());
+      await notificarImpresoraOffline(impresora, latest, estadoConexion);
+    } catch (err) {
+      console.error(`❌ [Cron Offline] Error notificando ${impresora.host}:`, err);
+    }
+  }
+
+  return abiertas;
+}
+
+/**
+ * Cron que corre cada minuto.
+ */
+function iniciarCronImpresorasOffline() {
+  cron.schedule('* * * * *', async () => {
+    try {
+      const abiertas = await detectarImpresorasOffline();
+      if (abiertas > 0) {
+        console.log(`📴 [Cron Offline] ${abiertas} impresoras marcadas como offline`);
+      }
+    } catch (err) {
+      console.error('❌ [Cron Offline] Error:', err);
+    }
+  }, {
+    noOverlap: true
+  });
+
+  console.log('✅ Cron de impresoras offline programado (cada minuto)');
+}
+
+module.exports = { iniciarCronImpresorasOffline, detectarImpresorasOffline };
@@ -0,0 +1,25 @@
+const cron = require('node-cron');
+const { restringirGraciaVencida } = require('./pagoFallido');
+
+/**
+ * Cron que corre cada hora (minuto 30): cuentas con cobro fallido y gracia vencida
+ * pasan a solo lectura.
+ */
+function iniciarCronPagoFallido() {
+  cron.schedule('30 * * * *', async () => {
+    try {
+      const restringidas = await restringirGraciaVencida();
+      if (restringidas > 0) {
+        console.log(`🔒 [Cron Pago Fallido] ${restringidas} cuentas restringidas`);
+      }
+    } catch (err) {
+      console.error('❌ [Cron Pago Fallido] Error:', err);
+    }
+  }, {
+    noOverlap: true
+  });
+
+  console.log('✅ Cron de pagos fallidos programado (cada hora)');
+}
+
+module.exports = { iniciarCronPagoFallido };
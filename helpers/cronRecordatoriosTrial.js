@@ -0,0 +1,117 @@
+const cron = require('node-cron');
+const Usuario = require('../models/Usuario');
+const { PLANES } = require('./stripePlanes');
+const { contarImpresorasActivasDeUsuario } = require('./limitesPlan');
+const { enviarAvisoCuenta } = require('./avisosCuenta');
+
+const TIMEZONE = 'America/Tijuana';
+
+// Recordatorios antes de que cronTrialExpirado cambie el plan (días de calendario)
+const RECORDATORIOS = [
+  { clave: '3_dias', dias: 3 },
+  { clave: '1_dia', dias: 1 },
+  { clave: 'hoy', dias: 0 }
+];
+
+// Cuentas internas que nunca expiran (mismo criterio que cronTrialExpirado)
+const EMAILS_EXCLUIDOS = ['demo.apple@grapelabs.com'];
+
+/**
+ * Días de calendario (en la zona del cron) entre hoy y la fecha de expiración.
+ */
+function diasDeCalendario(desde, hasta) {
+  const fecha = (d) => new Intl.DateTimeFormat('en-CA', { timeZone: TIMEZONE }).format(d);
+  return Math.round((new Date(fecha(hasta)) - new Date(fecha(desde))) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Plan más chico donde caben las impresoras que ya monitorea.
+ */
+function planSugerido(activas) {
+  const ordenados = Object.entries(PLANES).sort(([, a], [, b]) => a.limiteImpresoras - b.limiteImpresoras);
+  const entrada = ordenados.find(([, p]) => p.limiteImpresoras >= activas) || ordenados[ordenados.length - 1];
+  return entrada[0];
+}
+
+/**
+ * Una pasada: manda a cada trial el recordatorio que le toca y que no se ha enviado.
+ * Si el cron se saltó un día se manda el siguiente pendiente (con los días reales),
+ * y los recordatorios anteriores quedan marcados para no repetirse.
+ * "hoy" va por día de calendario: también le llega al trial que venció antes de la pasada
+ * (cronTrialExpirado no lo cambia de plan hasta las 00:05 del día siguiente).
+ */
+async function enviarRecordatoriosTrial(ahora = new Date()) {
+  const DIA_MS = 24 * 60 * 60 * 1000;
+  const maxDias = Math.max(...RECORDATORIOS.map(r => r.dias));
+  const usuarios = await Usuario.find({
+    plan: 'trial',
+    licenciaTrial: true,
+    fechaExpiracionTrial: { $gt: new Date(ahora.getTime() - DIA_MS), $lte: new Date(ahora.getTime() + (maxDias + 1) * DIA_MS) },
+    email: { $nin: EMAILS_EXCLUIDOS }
+  }).lean();
+
+  let enviados = 0;
+  for (const usuario of usuarios) {
+    const dias = diasDeCalendario(ahora, new Date(usuario.fechaExpiracionTrial));
+    if (dias < 0) continue; // venció ayer o antes: ya no es recordatorio
+    const yaEnviados = usuario.recordatoriosTrialEnviados || [];
+
+    const aplicables = RECORDATORIOS.filter(r => r.dias >= dias);
+    const pendiente = aplicables
+      .filter(r => !yaEnviados.includes(r.clave))
+      .sort((a, b) => a.dias - b.dias)[0];
+    if (!pendiente) continue;
+
+    // Marcar primero: si el push falla no reintentamos en cada pasada
+    const marcado = await Usuario.updateOne(
+      { _id: usuario._id, recordatoriosTrialEnviados: { $ne: pendiente.clave } },
+      { $addToSet: { recordatoriosTrialEnviados: { $each: aplicables.map(r => r.clave) } } }
+    );
+    if (marcado.modifiedCount === 0) continue;
+
+    try {
+      const activas = await contarImpresorasActivasDeUsuario(usuario._id);
+      const plan = planSugerido(activas);
+      const url = `${process.env.FRONTEND_URL}/planes?plan=${plan}&checkout=1`;
+
+      const titulo = dias <= 0
+        ? (new Date(usuario.fechaExpiracionTrial) <= ahora ? 'Tu prueba gratuita venció hoy ⏰' : 'Tu prueba gratuita vence hoy ⏰')
+        : `Tu prueba gratuita vence en ${dias} ${dias === 1 ? 'día' : 'días'} ⏳`;
+      const cuerpo = activas > 0
+        ? `Contrata el plan ${PLANES[plan].nombre} para seguir monitoreando tus ${activas} impresoras sin interrupciones.`
+        : `Contrata el plan ${PLANES[plan].nombre} para seguir usando Grape Monitor sin interrupciones.`;
+
+      await enviarAvisoCuenta(usuario, 'TRIAL_RECORDATORIO', titulo, cuerpo, {
+        recordatorio: pendiente.clave,
+        plan,
+        url
+      });
+      enviados++;
+    } catch (err) {
+      console.error(`❌ [Cron Recordatorios Trial] Error con ${usuario.email}:`, err);
+    }
+  }
+
+  return enviados;
+}
+
+/**
+ * Cron diario a las 10:00 hora Tijuana (antes de que venza; el cambio de plan es a las 00:05).
+ */
+function iniciarCronRecordatoriosTrial() {
+  cron.schedule('0 10 * * *', async () => {
+    try {
+      const enviados = await enviarRecordatoriosTrial();
+      console.log(`⏳ [Cron Recordatorios Trial] ${enviados} recordatorios enviados`);
+    } catch (err) {
+      console.error('❌ [Cron Recordatorios Trial] Error:', err);
+    }
+  }, {
+    timezone: TIMEZONE,
+    noOverlap: true
+  });
+
+  console.log('✅ Cron de recordatorios de trial programado (diario 10:00 hora Tijuana)');
+}
+
+module.exports = { iniciarCronRecordatoriosTrial, enviarRecordatoriosTrial, diasDeCalendario };
@@ -0,0 +1,45 @@
+const cron = require('node-cron');
+const Usuario = require('../models/Usuario');
+const { desactivarMenosRecientes } = require('./sobreLimite');
+
+/**
+ * Una pasada: a quien se le venció la gracia sin elegir, se le desactivan
+ * las impresoras menos recientes hasta quedar dentro del límite.
+ */
+async function aplicarGraciaVencida(ahora = new Date()) {
+  const usuarios = await Usuario.find({
+    sobreLimiteGraciaHasta: { $ne: null, $lte: ahora }
+  }).select('_id email').lean();
+
+  let total = 0;
+  for (const usuario of usuarios) {
+    try {
+      const desactivadas = await desactivarMenosRecientes(usuario._id);
+      total += desactivadas;
+      console.log(`📉 [Cron Sobre Límite] ${usuario.email}: ${desactivadas} impresoras desactivadas`);
+    } catch (err) {
+      console.error(`❌ [Cron Sobre Límite] Error con ${usuario.email}:`, err);
+    }
+  }
+
+  return total;
+}
+
+/**
+ * Cron que corre cada hora (minuto 15).
+ */
+function iniciarCronSobreLimite() {
+  cron.schedule('15 * * * *', async () => {
+    try {
+      await aplicarGraciaVencida();
+    } catch (err) {
+      console.error('❌ [Cron Sobre Límite] Error:', err);
+    }
+  }, {
+    noOverlap: true
+  });
+
+  console.log('✅ Cron de impresoras sobre el límite programado (cada hora)');
+}
+
+module.exports = { iniciarCronSobreLimite, aplicarGraciaVencida };
@@ -0,0 +1,148 @@
+// MARK: hrPrinterDetectedErrorState (HOST-RESOURCES-MIB, RFC 2790 / 3805)
+// Bit 0 es el bit más significativo del primer octeto.
+const BITS_ERROR_STATE = [
+  'lowPaper',
+  'noPaper',
+  'lowToner',
+  'noToner',
+  'doorOpen',
+  'jammed',
+  'offline',
+  'serviceRequested',
+  'inputTrayMissing',
+  'outputTrayMissing',
+  'markerSupplyMissing',
+  'outputNearFull',
+  'outputFull',
+  'inputTrayEmpty',
+  'overduePreventMaint'
+];
+
+// Nombre SNMP → código interno
+const CODIGO_POR_FLAG = {
+  lowPaper: 'poco_papel',
+  noPaper: 'sin_papel',
+  lowToner: 'poco_toner',
+  noToner: 'sin_toner',
+  doorOpen: 'puerta_abierta',
+  jammed: 'papel_atascado',
+  offline: 'offline',
+  serviceRequested: 'servicio_requerido',
+  inputTrayMissing: 'bandeja_faltante',
+  outputTrayMissing: 'bandeja_salida_faltante',
+  markerSupplyMissing: 'suministro_faltante',
+  outputNearFull: 'salida_casi_llena',
+  outputFull: 'salida_llena',
+  inputTrayEmpty: 'sin_papel',
+  overduePreventMaint: 'servicio_requerido'
+};
+
+const DESCRIPCIONES = {
+  poco_papel: 'Poco papel',
+  sin_papel: 'Sin papel',
+  poco_toner: 'Tóner bajo',
+  sin_toner: 'Sin tóner',
+  puerta_abierta: 'Puerta o cubierta abierta',
+  papel_atascado: 'Papel atascado',
+  offline: 'Impresora fuera de línea',
+  servicio_requerido: 'Requiere servicio',
+  bandeja_faltante: 'Bandeja de entrada no detectada',
+  bandeja_salida_faltante: 'Bandeja de salida no detectada',
+  suministro_faltante: 'Suministro no detectado',
+  salida_casi_llena: 'Bandeja de salida casi llena',
+  salida_llena: 'Bandeja de salida llena'
+};
+
+// MARK: prtAlertTable (Printer-MIB, PrtAlertCodeTC)
+// Grupo 8 = input (bandejas); los códigos genéricos 12/13 significan poco/sin papel ahí.
+const GRUPO_INPUT = 8;
+
+function codigoDeAlertaPrt(alerta) {
+  const code = Number(alerta?.code);
+  const group = Number(alerta?.group);
+
+  if ([3, 5, 501].includes(code)) return 'puerta_abierta';   // coverOpen, interlockOpen, doorOpen
+  if (code === 8) return 'papel_atascado';                    // jam
+  if (code === 808 || (code === 13 && group === GRUPO_INPUT)) return 'sin_papel';
+  if (code === 807 || (code === 12 && group === GRUPO_INPUT)) return 'poco_papel';
+  if (code === 801 || (code === 9 && group === GRUPO_INPUT)) return 'bandeja_faltante';
+  if ([11, 1503, 1504].includes(code)) return 'servicio_requerido'; // subunitLifeOver, fallas de fusor
+  if (code === 1101 || code === 1102) return 'sin_toner';
+  if (code === 1104) return 'poco_toner';
+  return null;
+}
+
+/**
+ * Convierte hrPrinterDetectedErrorState (hex "0400", arreglo de bytes o arreglo de nombres) a flags.
+ */
+function flagsDeErrorState(errorState) {
+  if (Array.isArray(errorState) && errorState.every(e => typeof e === 'string')) {
+    return errorState.filter(f => CODIGO_POR_FLAG[f]);
+  }
+
+  let bytes = [];
+  if (Array.isArray(errorState)) {
+    bytes = errorState.map(Number);
+  } else if (typeof errorState === 'string' && /^[0-9a-fA-F\s]+$/.test(errorState)) {
+    const hex = errorState.replace(/\s/g, '');
+    for (let i = 0; i < hex.length; i += 2) bytes.push(parseInt(hex.slice(i, i + 2), 16));
+  } else {
+    return [];
+  }
+
+  const flags = [];
+  BITS_ERROR_STATE.forEach((flag, bit) => {
+    const byte = bytes[Math.floor(bit / 8)];
+    if (byte != null && (byte & (0x80 >> (bit % 8)))) flags.push(flag);
+  });
+  return flags;
+}
+
+/**
+ * Normaliza el estado reportado por el agente.
+ * Entrada: { printerStatus, errorState, prtAlerts } (cualquiera opcional)
+ * Retorna { estado: 'ok'|'advertencia'|'error'|'offline', errores: [{ codigo, descripcion }] }
+ * o null si el agente no mandó nada de estado (agentes viejos).
+ */
+function normalizarEstado({ printerStatus = null, errorState = null, prtAlerts = null } = {}) {
+  if (printerStatus == null && errorState == null && !Array.isArray(prtAlerts)) return null;
+
+  const codigos = new Set();
+  if (String(printerStatus).toLowerCase() === 'offline') codigos.add('offline');
+  flagsDeErrorState(errorState).forEach(f => codigos.add(CODIGO_POR_FLAG[f]));
+  (Array.isArray(prtAlerts) ? prtAlerts : []).forEach(a => {
+    const codigo = codigoDeAlertaPrt(a);
+    if (codigo) codigos.add(codigo);
+  });
+
+  const errores = [...codigos].map(codigo => ({ codigo, descripcion: DESCRIPCIONES[codigo] }));
+
+  const criticos = ['papel_atascado', 'puerta_abierta', 'sin_papel', 'servicio_requerido', 'sin_toner', 'salida_llena'];
+  let estado = 'ok';
+  if (codigos.has('offline')) estado = 'offline';
+  else if (errores.some(e => criticos.includes(e.codigo))) estado = 'error';
+  else if (errores.length > 0) estado = 'advertencia';
+
+  return { estado, errores };
+}
+
+/**
+ * Conserva la fecha "desde" de los errores que siguen activos.
+ */
+function fusionarErrores(erroresNuevos, erroresPrevios = [], ahora = new Date()) {
+  const previos = new Map(erroresPrevios.map(e => [e.codigo, e]));
+  return erroresNuevos.map(e => ({
+    ...e,
+    desde: previos.get(e.codigo)?.desde || ahora
+  }));
+}
+
+module.exports = {
+  DESCRIPCIONES,
+  normalizarEstado,
+  fusionarErrores,
+  _internal: {
+    flagsDeErrorState,
+    codigoDeAlertaPrt
+  }
+};
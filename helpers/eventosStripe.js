@@ -0,0 +1,62 @@
+const EventoStripe = require('../models/EventoStripe');
+
+// past_due sigue activa: la gracia y la restricción las maneja helpers/pagoFallido
+const ESTADOS_SUSCRIPCION_ACTIVA = ['active', 'trialing', 'past_due'];
+
+// Un 'procesando' más viejo que esto se da por abandonado (el proceso murió a la mitad)
+const LEASE_EVENTO_MS = 5 * 60 * 1000;
+
+/**
+ * Filtro que solo deja aplicar el evento si es igual o más nuevo que el último
+ * estado de suscripción aplicado al usuario (Stripe no garantiza el orden de entrega).
+ */
+function filtroEventoVigente(filtro, creado) {
+  return {
+    ...filtro,
+    $or: [{ stripeEventoAplicadoEn: null }, { stripeEventoAplicadoEn: { $lte: creado } }]
+  };
+}
+
+/**
+ * Estados que se pueden volver a reclamar: fallidos, o en proceso con la lease vencida.
+ */
+function filtroReclamable(ahora = new Date()) {
+  return {
+    $or: [
+      { estado: 'fallido' },
+      { estado: 'procesando', updatedAt: { $lt: new Date(ahora.getTime() - LEASE_EVENTO_MS) } }
+    ]
+  };
+}
+
+/**
+ * Registra el evento si es nuevo. Retorna true si a esta entrega le toca procesarlo:
+ * nuevo, uno que falló antes (reintento de Stripe / reproceso manual) o uno abandonado.
+ */
+async function reclamarEvento(evento) {
+  try {
+    await EventoStripe.create({
+      eventId: evento.id,
+      tipo: evento.type,
+      creado: new Date(evento.created * 1000),
+      customer: evento.data?.object?.customer || null
+    });
+    return true;
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    // updatedAt se renueva al reclamar: es la nueva lease
+    const reclamado = await EventoStripe.findOneAndUpdate(
+      { eventId: evento.id, ...filtroReclamable() },
+      { $set: { estado: 'procesando', error: null } }
+    );
+    return !!reclamado;
+  }
+}
+
+module.exports = {
+  ESTADOS_SUSCRIPCION_ACTIVA,
+  LEASE_EVENTO_MS,
+  filtroEventoVigente,
+  filtroReclamable,
+  reclamarEvento
+};
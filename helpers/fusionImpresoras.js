@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const Impresora = require('../models/Impresora');
+const ImpresoraLatest = require('../models/ImpresoraLatest');
+const ImpresoraMuestra = require('../models/ImpresoraMuestra');
+const CortesMensuales = require('../models/CortesMensuales');
+const ReinicioContador = require('../models/ReinicioContador');
+const AlertaConfig = require('../models/AlertaConfig');
+const Alerta = require('../models/Alerta');
+
+/**
+ * Fusiona `duplicada` dentro de `sobreviviente` (misma empresa).
+ * Mueve latest, cortes, muestras, reinicios, alertas y su config; la duplicada se elimina
+ * y su host/serial quedan como alias del sobreviviente para futuras ingestas.
+ * Todo va en una transacción: si algo falla no queda la mitad de los datos en cada impresora.
+ *
+ * @returns {Promise<Object>} Impresora sobreviviente actualizada (lean)
+ */
+async function fusionarImpresoras(sobreviviente, duplicada) {
+  const idSobreviviente = sobreviviente._id;
+  const idDuplicada = duplicada._id;
+
+  const session = await mongoose.startSession();
+  let actualizada;
+  try {
+    // withTransaction reintenta el callback completo ante errores transitorios
+    await session.withTransaction(async () => {
+      // MARK: Latest: se queda el más reciente
+      const latestSobreviviente = await ImpresoraLatest.findOne({ printerId: idSobreviviente }).session(session).lean();
+      const latestDuplicada = await ImpresoraLatest.findOne({ printerId: idDuplicada }).session(session).lean();
+
+      const duplicadaEsMasReciente = latestDuplicada && (
+        !latestSobreviviente ||
+        new Date(latestDuplicada.lastSeenAt || 0) > new Date(latestSobreviviente.lastSeenAt || 0)
+      );
+
+      if (duplicadaEsMasReciente) {
+        await ImpresoraLatest.deleteOne({ printerId: idSobreviviente }, { session });
+        await ImpresoraLatest.updateOne({ printerId: idDuplicada }, { $set: { printerId: idSobreviviente } }, { session });
+      } else if (latestDuplicada) {
+        await ImpresoraLatest.deleteOne({ printerId: idDuplicada }, { session });
+      }
+
+      // MARK: Historial
+      // En serie: una sesión no admite operaciones en paralelo
+      for (const Modelo of [CortesMensuales, ImpresoraMuestra, ReinicioContador, Alerta]) {
+        await Modelo.updateMany({ printerId: idDuplicada }, { $set: { printerId: idSobreviviente } }, { session });
+      }
+
+      // Una config por impresora: manda la del sobreviviente si ya tenía
+      const configSobreviviente = await AlertaConfig.exists({ printerId: idSobreviviente }).session(session);
+      if (configSobreviviente) {
+        await AlertaConfig.deleteOne({ printerId: idDuplicada }, { session });
+      } else {
+        await AlertaConfig.updateOne({ printerId: idDuplicada }, { $set: { printerId: idSobreviviente } }, { session });
+      }
+
+      // El siguiente corte debe partir del más reciente de ambas
+      const ultimoCorte = await CortesMensuales.findOne({ printerId: idSobreviviente })
+        .sort({ fechaCorte: -1 })
+        .select('_id fechaCorte')
+        .session(session)
+        .lean();
+      if (ultimoCorte) {
+        await ImpresoraLatest.updateOne(
+          { printerId: idSobreviviente },
+          { $set: { ultimoCorteId: ultimoCorte._id, lastCutDate: ultimoCorte.fechaCorte } },
+          { session }
+        );
+      }
+
+      // MARK: Alias e identidad
+      // Primero se borra la duplicada: libera su host/serial en los índices únicos
+      await Impresora.deleteOne({ _id: idDuplicada }, { session });
+
+      // Si la duplicada reportó después, su host es la IP vigente
+      const hostVigente = duplicadaEsMasReciente ? duplicada.host : sobreviviente.host;
+      const serialVigente = sobreviviente.serial || duplicada.serial || null;
+
+      const aliasHosts = [sobreviviente.host, duplicada.host, ...(duplicada.aliasHosts || [])]
+        .filter(h => h && h !== hostVigente);
+      const aliasSeriales = [duplicada.serial, ...(duplicada.aliasSeriales || [])]
+        .filter(s => s && s !== serialVigente);
+
+      const set = {
+        host: hostVigente,
+        serial: serialVigente,
+        monitoreoActivo: !!(sobreviviente.monitoreoActivo || duplicada.monitoreoActivo),
+        // Basta con que una estuviera aprobada
+        estadoAprobacion: sobreviviente.estadoAprobacion === 'pendiente' && duplicada.estadoAprobacion === 'pendiente'
+          ? 'pendiente'
+          : 'aprobada'
+      };
+      if (!sobreviviente.customName && duplicada.customName) set.customName = duplicada.customName;
+
+      actualizada = await Impresora.findByIdAndUpdate(
+        idSobreviviente,
+        {
+          $set: set,
+          $addToSet: {
+            aliasHosts: { $each: aliasHosts },
+            aliasSeriales: { $each: aliasSeriales }
+          }
+        },
+        { new: true, session }
+      ).lean();
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  console.log(`🔗 Impresora ${idDuplicada} fusionada en ${idSobreviviente} (${actualizada.host})`);
+  return actualizada;
+}
+
+/**
+ * Busca la impresora de una lectura: serial (o alias) primero, luego host, luego host alias.
+ * Si el serial y el host apuntan a impresoras distintas y la del host no tiene un serial
+ * propio, el serial prueba que son la misma y se fusionan automáticamente.
+ *
+ * @returns {Promise<{ impresora: Object|null, hostEnConflicto: Boolean }>}
+ */
+async function resolverImpresora(empresaId, host, serial) {
+  const porSerial = serial
+    ? await Impresora.findOne({ empresaId, $or: [{ serial }, { aliasSeriales: serial }] }).lean()
+    : null;
+  const porHost = await Impresora.findOne({ empresaId, host }).lean();
+
+  if (porSerial && porHost && String(porSerial._id) !== String(porHost._id)) {
+    if (!porHost.serial) {
+      const impresora = await fusionarImpresoras(porSerial, porHost);
+      return { impresora, hostEnConflicto: false };
+    }
+    // La IP ahora la tiene otra impresora con serial distinto (DHCP): no se fusiona
+    return { impresora: porSerial, hostEnConflicto: true };
+  }
+
+  if (porSerial || porHost) {
+    return { impresora: porSerial || porHost, hostEnConflicto: false };
+  }
+
+  // Host viejo de una impresora ya fusionada (solo si la lectura no trae serial que lo contradiga)
+  if (!serial) {
+    const porAlias = await Impresora.findOne({ empresaId, aliasHosts: host }).lean();
+    if (porAlias) return { impresora: porAlias, hostEnConflicto: false };
+  }
+
+  return { impresora: null, hostEnConflicto: false };
+}
+
+module.exports = { fusionarImpresoras, resolverImpresora };
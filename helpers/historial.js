@@ -0,0 +1,154 @@
+const ImpresoraMuestra = require('../models/ImpresoraMuestra');
+
+const GRANULARIDADES = ['raw', 'hora', 'dia'];
+
+// Tope de puntos devueltos por consulta (evita respuestas gigantes en modo raw)
+const MAX_PUNTOS = 5000;
+
+// Rango por defecto cuando no llega ?desde
+const RANGO_DEFAULT_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Guarda una muestra de la lectura recibida del agente.
+ */
+async function registrarMuestra(impresora, lectura) {
+  return ImpresoraMuestra.create({
+    printerId: impresora._id,
+    empresaId: impresora.empresaId,
+    ts: lectura.ts,
+    pageCount: lectura.pageCount,
+    pageMono: lectura.pageMono,
+    pageColor: lectura.pageColor,
+    supplies: lectura.supplies,
+    online: lectura.online
+  });
+}
+
+/**
+ * Convierte el ts del agente en Date.
+ * Fechas inválidas o en el futuro (reloj del agente adelantado) se ajustan a "ahora".
+ */
+function normalizarTimestamp(ts, ahora = new Date()) {
+  const fecha = new Date(ts);
+  if (Number.isNaN(fecha.getTime()) || fecha > ahora) return ahora;
+  return fecha;
+}
+
+/**
+ * Una muestra igual o más vieja que la última aplicada es un reintento o llegó fuera de orden.
+ */
+function esMuestraFueraDeOrden(ts, ultimoTs) {
+  return !!ultimoTs && ts <= new Date(ultimoTs);
+}
+
+/**
+ * Agrega a cada punto las páginas impresas desde el punto anterior.
+ * El primer punto usa su propio rango (primero → último dentro del bucket).
+ */
+function calcularPaginas(puntos) {
+  let previo = null;
+  return puntos.map(p => {
+    const base = previo?.pageCount ?? p.pageCountInicio ?? p.pageCount;
+    const paginas = (p.pageCount != null && base != null) ? Math.max(0, p.pageCount - base) : null;
+    previo = p.pageCount != null ? p : previo;
+    const { pageCountInicio, ...resto } = p;
+    return { ...resto, paginas };
+  });
+}
+
+/**
+ * Helper interno: recibe hasta MAX_PUNTOS + 1 elementos en orden descendente y regresa
+ * los MAX_PUNTOS más recientes en orden ascendente.
+ */
+function recortarRecientes(descendentes) {
+  const truncado = descendentes.length > MAX_PUNTOS;
+  const recientes = descendentes.slice(0, MAX_PUNTOS).reverse();
+  return { recientes, truncado };
+}
+
+/**
+ * Consulta la serie de una impresora entre dos fechas.
+ * granularidad: 'raw' (muestras tal cual) | 'hora' | 'dia' (último valor de cada bucket)
+ * Si hay más de MAX_PUNTOS se devuelven los más recientes y truncado = true.
+ * Retorna { puntos, truncado }.
+ */
+async function consultarHistorial(printerId, { desde, hasta, granularidad = 'raw', timezone = 'America/Tijuana' }) {
+  const match = { printerId, ts: { $gte: desde, $lte: hasta } };
+
+  if (granularidad === 'raw') {
+    // Descendente para quedarse con lo más reciente; se pide uno extra para saber si se truncó
+    const muestras = await ImpresoraMuestra.find(match)
+      .sort({ ts: -1 })
+      .limit(MAX_PUNTOS + 1)
+      .lean();
+    const { recientes, truncado } = recortarRecientes(muestras);
+
+    const puntos = calcularPaginas(recientes.map(m => ({
+      ts: m.ts,
+      pageCount: m.pageCount,
+      pageMono: m.pageMono,
+      pageColor: m.pageColor,
+      supplies: m.supplies || [],
+      online: m.online
+    })));
+    return { puntos, truncado };
+  }
+
+  const unit = granularidad === 'hora' ? 'hour' : 'day';
+  const buckets = await ImpresoraMuestra.aggregate([
+    { $match: match },
+    { $sort: { ts: 1 } },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$ts', unit, timezone } },
+        pageCountInicio: { $first: '$pageCount' },
+        pageCount: { $last: '$pageCount' },
+        pageMono: { $last: '$pageMono' },
+        pageColor: { $last: '$pageColor' },
+        supplies: { $last: '$supplies' },
+        online: { $max: '$online' },
+        muestras: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: -1 } },
+    { $limit: MAX_PUNTOS + 1 }
+  ]);
+  const { recientes, truncado } = recortarRecientes(buckets);
+
+  return {
+    puntos: calcularPaginas(recientes.map(({ _id, ...b }) => ({ ts: _id, ...b }))),
+    truncado
+  };
+}
+
+/**
+ * Valida y normaliza los query params de historial.
+ * Retorna { error } o { desde, hasta, granularidad }.
+ */
+function parsearRangoHistorial(query) {
+  const granularidad = query.granularidad || 'raw';
+  if (!GRANULARIDADES.includes(granularidad)) {
+    return { error: `granularidad debe ser: ${GRANULARIDADES.join(', ')}` };
+  }
+
+  const hasta = query.hasta ? new Date(query.hasta) : new Date();
+  const desde = query.desde ? new Date(query.desde) : new Date(hasta.getTime() - RANGO_DEFAULT_MS);
+  if (Number.isNaN(desde.getTime()) || Number.isNaN(hasta.getTime())) {
+    return { error: 'desde/hasta deben ser fechas ISO válidas' };
+  }
+  if (desde > hasta) {
+    return { error: 'desde debe ser anterior a hasta' };
+  }
+
+  return { desde, hasta, granularidad };
+}
+
+module.exports = {
+  GRANULARIDADES,
+  MAX_PUNTOS,
+  registrarMuestra,
+  normalizarTimestamp,
+  esMuestraFueraDeOrden,
+  consultarHistorial,
+  parsearRangoHistorial
+};
@@ -1,6 +1,7 @@
 const Empresa = require('../models/Empresa');
 const Impresora = require('../models/Impresora');
 const Usuario = require('../models/Usuario');
+const { ESTADO_PENDIENTE } = require('./aprobacionImpresoras');
 
 /**
  * Límites por defecto según plan.
@@ -43,6 +44,16 @@ async function contarImpresorasTotalesDeUsuario(userId) {
   return Impresora.countDocuments({ empresaId: { $in: empresaIds } });
 }
 
+/**
+ * Cuenta impresoras descubiertas que esperan aprobación (no consumen licencia).
+ */
+async function contarImpresorasPendientesDeUsuario(userId) {
+  const empresas = await Empresa.find({ userId }).select('_id').lean();
+  if (empresas.length === 0) return 0;
+  const empresaIds = empresas.map(e => e._id);
+  return Impresora.countDocuments({ empresaId: { $in: empresaIds }, estadoAprobacion: ESTADO_PENDIENTE });
+}
+
 /**
  * Determina si el usuario puede activar el monitoreo de UNA impresora más.
  * Devuelve { puede: bool, limite: number, usadas: number, plan: string }.
@@ -68,5 +79,6 @@ module.exports = {
   obtenerLimitePorPlan,
   contarImpresorasActivasDeUsuario,
   contarImpresorasTotalesDeUsuario,
+  contarImpresorasPendientesDeUsuario,
   puedeActivarUnaMas
 };
\ No newline at end of file
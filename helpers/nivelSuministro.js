@@ -0,0 +1,59 @@
+// Valores especiales de prtMarkerSuppliesLevel / MaxCapacity (RFC 3805)
+const SNMP_OTRO = -1;
+const SNMP_DESCONOCIDO = -2;
+const SNMP_ALGO_RESTANTE = -3;
+
+const ESTADO_OK = 'ok';
+const ESTADO_DESCONOCIDO = 'desconocido';
+const ESTADO_ALGO_RESTANTE = 'algo_restante';
+
+/**
+ * Traduce level/max de un supply a un estado explícito y un porcentaje 0-100.
+ *  - level -3            → 'algo_restante' (la impresora solo sabe que queda algo)
+ *  - level -1 / -2 / NaN → 'desconocido'
+ *  - max > 0             → level / max
+ *  - sin max             → level ya viene en porcentaje (si está entre 0 y 100)
+ *
+ * @param {Object} supply - { level, max }
+ * @returns {{ estadoNivel: String, porcentaje: Number|null }}
+ */
+function normalizarNivel(supply) {
+  const level = Number(supply?.level);
+  const max = Number(supply?.max);
+
+  if (supply?.level == null || !Number.isFinite(level)) {
+    return { estadoNivel: ESTADO_DESCONOCIDO, porcentaje: null };
+  }
+  if (level === SNMP_ALGO_RESTANTE) {
+    return { estadoNivel: ESTADO_ALGO_RESTANTE, porcentaje: null };
+  }
+  if (level < 0) {
+    // SNMP_OTRO, SNMP_DESCONOCIDO o cualquier negativo fuera del estándar
+    return { estadoNivel: ESTADO_DESCONOCIDO, porcentaje: null };
+  }
+
+  let porcentaje;
+  if (Number.isFinite(max) && max > 0) {
+    porcentaje = (level / max) * 100;
+  } else if (level <= 100) {
+    porcentaje = level;
+  } else {
+    // max desconocido y level que no puede ser porcentaje
+    return { estadoNivel: ESTADO_DESCONOCIDO, porcentaje: null };
+  }
+
+  return {
+    estadoNivel: ESTADO_OK,
+    porcentaje: Math.round(Math.min(100, Math.max(0, porcentaje)) * 10) / 10
+  };
+}
+
+module.exports = {
+  SNMP_OTRO,
+  SNMP_DESCONOCIDO,
+  SNMP_ALGO_RESTANTE,
+  ESTADO_OK,
+  ESTADO_DESCONOCIDO,
+  ESTADO_ALGO_RESTANTE,
+  normalizarNivel
+};
@@ -1,5 +1,6 @@
 // ⏱️ Configuración online/offline
 const ONLINE_STALE_MS = Number(process.env.ONLINE_STALE_MS || 2 * 60 * 1000);
+const AGENTE_STALE_MS = Number(process.env.AGENTE_STALE_MS || 5 * 60 * 1000);
 
 /**
  * Decide si una impresora está online basado en lastSeenAt
@@ -16,7 +17,45 @@ function computeDerivedOnline(latest, now = Date.now()) {
   return age <= ONLINE_STALE_MS;
 }
 
+/**
+ * Decide si un agente está conectado basado en su último heartbeat o ingesta
+ * @param {Object} agente - Documento Agente
+ * @param {Number} now - Timestamp actual (opcional)
+ * @returns {Boolean}
+ */
+function computeAgenteOnline(agente, now = Date.now()) {
+  if (!agente) return false;
+  const ts = Math.max(
+    agente.ultimoHeartbeat ? new Date(agente.ultimoHeartbeat).getTime() : 0,
+    agente.ultimaIngesta ? new Date(agente.ultimaIngesta).getTime() : 0
+  );
+  if (!ts) return false;
+  return now - ts <= AGENTE_STALE_MS;
+}
+
+/**
+ * Distingue por qué una impresora no reporta.
+ * @param {Object} latest - Documento ImpresoraLatest
+ * @param {Array} agentes - Agentes de la empresa de la impresora
+ * @param {Number} now - Timestamp actual (opcional)
+ * @returns {String} 'online' | 'impresora_offline' | 'agente_sin_conexion'
+ */
+function computeEstadoConexion(latest, agentes = [], now = Date.now()) {
+  if (computeDerivedOnline(latest, now)) return 'online';
+
+  // Si sabemos qué agente la reporta, manda ese; si no, cualquier agente de la empresa
+  const propio = latest?.agentId ? agentes.find(a => a.agentId === latest.agentId) : null;
+  const candidatos = propio ? [propio] : agentes;
+  if (candidatos.length > 0 && !candidatos.some(a => computeAgenteOnline(a, now))) {
+    return 'agente_sin_conexion';
+  }
+  return 'impresora_offline';
+}
+
 module.exports = {
   ONLINE_STALE_MS,
-  computeDerivedOnline
+  AGENTE_STALE_MS,
+  computeDerivedOnline,
+  computeAgenteOnline,
+  computeEstadoConexion
 };
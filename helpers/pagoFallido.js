@@ -0,0 +1,147 @@
+const Usuario = require('../models/Usuario');
+const { enviarAvisoCuenta } = require('./avisosCuenta');
+
+// Días desde el primer cobro fallido antes de restringir la cuenta
+const GRACIA_PAGO_FALLIDO_DIAS = Number(process.env.GRACIA_PAGO_FALLIDO_DIAS || 7);
+
+const ESTADO_AL_CORRIENTE = 'al_corriente';
+const ESTADO_PAGO_FALLIDO = 'pago_fallido';
+const ESTADO_RESTRINGIDO = 'restringido';
+
+function fmtFecha(fecha) {
+  return new Intl.DateTimeFormat('es-MX', { day: '2-digit', month: 'short', year: 'numeric' }).format(fecha);
+}
+
+/**
+ * Cobro fallido (invoice.payment_failed). El primero abre la gracia; cada reintento
+ * de Stripe vuelve a avisar al usuario. Una cuenta ya restringida sigue restringida.
+ * Las escrituras son condicionales: dos webhooks simultáneos no abren la gracia dos veces.
+ */
+async function registrarPagoFallido(usuario, factura, ahora = new Date()) {
+  // Stripe numera los intentos; sin attempt_count se cuenta en Mongo
+  const contador = factura.attempt_count
+    ? { $max: { intentosPagoFallidos: factura.attempt_count } }
+    : { $inc: { intentosPagoFallidos: 1 } };
+
+  // Solo abre la gracia quien encuentre la cuenta al corriente
+  let actualizado = await Usuario.findOneAndUpdate(
+    { _id: usuario._id, estadoPago: { $nin: [ESTADO_PAGO_FALLIDO, ESTADO_RESTRINGIDO] } },
+    {
+      $set: {
+        estadoPago: ESTADO_PAGO_FALLIDO,
+        pagoFallidoDesde: ahora,
+        pagoFallidoGraciaHasta: new Date(ahora.getTime() + GRACIA_PAGO_FALLIDO_DIAS * 24 * 60 * 60 * 1000)
+      },
+      ...contador
+    },
+    { new: true }
+  ).lean();
+  if (!actualizado) {
+    actualizado = await Usuario.findOneAndUpdate({ _id: usuario._id }, contador, { new: true }).lean();
+  }
+  if (!actualizado) return;
+
+  const graciaHasta = actualizado.pagoFallidoGraciaHasta;
+  const siguienteIntento = factura.next_payment_attempt ? new Date(factura.next_payment_attempt * 1000) : null;
+  const cuerpo = [
+    'No pudimos cobrar tu suscripción.',
+    siguienteIntento ? `Reintentaremos el ${fmtFecha(siguienteIntento)}.` : null,
+    graciaHasta && actualizado.estadoPago !== ESTADO_RESTRINGIDO
+      ? `Actualiza tu método de pago antes del ${fmtFecha(graciaHasta)} para evitar restricciones.`
+      : 'Actualiza tu método de pago para recuperar el acceso completo.'
+  ].filter(Boolean).join(' ');
+
+  await enviarAvisoCuenta(usuario, 'PAGO_FALLIDO', 'Pago fallido 💳', cuerpo, {
+    intento: actualizado.intentosPagoFallidos,
+    siguienteIntento: siguienteIntento ? siguienteIntento.toISOString() : '',
+    graciaHasta: graciaHasta ? new Date(graciaHasta).toISOString() : ''
+  });
+
+  console.warn(`Pago fallido: ${usuario.email} (intento ${actualizado.intentosPagoFallidos})`);
+}
+
+/**
+ * Pago recibido: cierra el ciclo de cobro fallido (si lo había).
+ */
+async function registrarPagoRecibido(usuario) {
+  if (!usuario.estadoPago || usuario.estadoPago === ESTADO_AL_CORRIENTE) return;
+
+  await Usuario.updateOne(
+    { _id: usuario._id },
+    {
+      $set: {
+        estadoPago: ESTADO_AL_CORRIENTE,
+        pagoFallidoDesde: null,
+        pagoFallidoGraciaHasta: null,
+        intentosPagoFallidos: 0
+      }
+    }
+  );
+
+  await enviarAvisoCuenta(usuario, 'PAGO_RECIBIDO', 'Pago recibido ✅', 'Tu cuenta está al corriente. ¡Gracias!');
+}
+
+/**
+ * Una pasada: cuentas con la gracia vencida pasan a solo lectura.
+ */
+async function restringirGraciaVencida(ahora = new Date()) {
+  const usuarios = await Usuario.find({
+    estadoPago: ESTADO_PAGO_FALLIDO,
+    pagoFallidoGraciaHasta: { $lte: ahora }
+  }).lean();
+
+  for (const usuario of usuarios) {
+    const marcado = await Usuario.updateOne(
+      { _id: usuario._id, estadoPago: ESTADO_PAGO_FALLIDO },
+      { $set: { estadoPago: ESTADO_RESTRINGIDO } }
+    );
+    if (marcado.modifiedCount === 0) continue;
+
+    try {
+      await enviarAvisoCuenta(
+        usuario,
+        'CUENTA_RESTRINGIDA',
+        'Cuenta en solo lectura 🔒',
+        'No recibimos tu pago. Seguimos monitoreando tus impresoras, pero el panel queda en solo lectura hasta que actualices tu método de pago.'
+      );
+    } catch (err) {
+      console.error(`❌ Aviso de restricción a ${usuario.email}:`, err);
+    }
+  }
+
+  return usuarios.length;
+}
+
+/**
+ * Banner para login / plan-info. null si la cuenta está al corriente.
+ */
+function bannerCobro(usuario) {
+  if (usuario.estadoPago === ESTADO_PAGO_FALLIDO) {
+    return {
+      tipo: ESTADO_PAGO_FALLIDO,
+      mensaje: 'No pudimos cobrar tu suscripción. Actualiza tu método de pago.',
+      graciaHasta: usuario.pagoFallidoGraciaHasta || null,
+      intentos: usuario.intentosPagoFallidos || 0
+    };
+  }
+  if (usuario.estadoPago === ESTADO_RESTRINGIDO) {
+    return {
+      tipo: ESTADO_RESTRINGIDO,
+      mensaje: 'Tu cuenta está en solo lectura por falta de pago.',
+      graciaHasta: usuario.pagoFallidoGraciaHasta || null,
+      intentos: usuario.intentosPagoFallidos || 0
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  GRACIA_PAGO_FALLIDO_DIAS,
+  ESTADO_AL_CORRIENTE,
+  ESTADO_PAGO_FALLIDO,
+  ESTADO_RESTRINGIDO,
+  registrarPagoFallido,
+  registrarPagoRecibido,
+  restringirGraciaVencida,
+  bannerCobro
+};
@@ -1,4 +1,6 @@
 const PDFDocument = require('pdfkit');
+const { normalizarNivel, ESTADO_OK, ESTADO_ALGO_RESTANTE } = require('./nivelSuministro');
+const { CONTADORES_FUNCION } = require('./cortes');
 
 // MARK: Marca
 const VIOLETA = '#8b5cf6';
@@ -37,14 +39,17 @@ function fmtNum(valor) {
  * Genera un PDF profesional con los datos de un corte
  * @param {Object} corte - Datos del corte (con período calculado)
  * @param {Object} impresora - Documento Impresora (con empresaId populado)
+ * @param {Object} [opciones]
+ * @param {Boolean} [opciones.marcaPropia] - sin la marca Grape en el encabezado (beneficio pdfMarcaPropia)
  * @returns {Promise<Buffer>} Buffer del PDF generado
  */
-async function generarPDFProfesional(corte, impresora) {
+async function generarPDFProfesional(corte, impresora, opciones = {}) {
   return new Promise((resolve, reject) => {
     try {
       const doc = new PDFDocument({
         margin: 20,
-        size: 'A4'
+        size: 'A4',
+        bufferPages: true // el pie se dibuja al final en cada página
       });
 
       const chunks = [];
@@ -58,15 +63,32 @@ async function generarPDFProfesional(corte, impresora) {
       const bottomMargin = 20;
       const timezone = impresora.empresaId?.timezone || 'America/Tijuana';
       const anchoDer = doc.page.width - 320;
+      let yPosition = 0;
+
+      // MARK: Flujo de página
+      // Las secciones van en coordenadas fijas; antes de dibujar una se reserva su alto
+      // y, si ya no cabe sobre el pie, continúa en una página nueva.
+      const altoPie = 40;
+      const limiteContenido = pageHeight - bottomMargin - altoPie - 10;
+      const inicioPagina = 20;
+
+      function reservarEspacio(alto) {
+        if (yPosition + alto > limiteContenido) {
+          doc.addPage();
+          yPosition = inicioPagina;
+        }
+      }
 
       // MARK: Encabezado
       doc.rect(0, 0, doc.page.width, 92).fillColor(VIOLETA).fill();
       doc.rect(0, 92, doc.page.width, 4).fillColor(VIOLETA_OSCURO).fill();
 
-      doc.fillColor(VIOLETA_CLARO)
-         .fontSize(8)
-         .font('Helvetica-Bold')
-         .text('GRAPELABS', 20, 22, { characterSpacing: 2 });
+      if (!opciones.marcaPropia) {
+        doc.fillColor(VIOLETA_CLARO)
+           .fontSize(8)
+           .font('Helvetica-Bold')
+           .text('GRAPELABS', 20, 22, { characterSpacing: 2 });
+      }
 
       doc.fillColor('white')
          .fontSize(21)
@@ -76,7 +98,7 @@ async function generarPDFProfesional(corte, impresora) {
       doc.fillColor(VIOLETA_CLARO)
          .fontSize(8.5)
          .font('Helvetica')
-         .text('Grape Monitor · Monitoreo de impresoras', 20, 66);
+         .text(opciones.marcaPropia ? 'Monitoreo de impresoras' : 'Grape Monitor · Monitoreo de impresoras', 20, 66);
 
       doc.fillColor('white')
          .fontSize(11)
@@ -93,7 +115,7 @@ async function generarPDFProfesional(corte, impresora) {
          .text(fmtFecha(new Date(), timezone), 300, 62, { width: anchoDer, align: 'right' });
 
       // ========== INFORMACIÓN GENERAL ==========
-      let yPosition = 116;
+      yPosition = 116;
 
       doc.rect(20, yPosition, doc.page.width - 40, 80)
          .fillColor('#f8fafc')
@@ -208,6 +230,7 @@ async function generarPDFProfesional(corte, impresora) {
         const conBarra = tieneMono && tieneColor && suma > 0;
         const altoCaja = 32 + filas.length * 22 + (conBarra ? 24 : 0) + 30;
 
+        reservarEspacio(20 + 20 + altoCaja);
         yPosition += 20;
         doc.fillColor(TINTA)
            .fontSize(12)
@@ -283,7 +306,50 @@ async function generarPDFProfesional(corte, impresora) {
         yPosition = yCaja + altoCaja;
       }
 
+      // MARK: Desglose por función (solo MFPs que exponen estos contadores)
+      const filasFuncion = CONTADORES_FUNCION
+        .filter(c => corte[`totalPaginas${c.campo}`] != null)
+        .map(c => ({ etiqueta: c.etiqueta, valor: corte[`totalPaginas${c.campo}`] }));
+
+      if (filasFuncion.length > 0) {
+        const anchoBloque = doc.page.width - 40;
+        const altoCaja = 24 + filasFuncion.length * 20;
+
+        reservarEspacio(20 + 20 + altoCaja);
+        yPosition += 20;
+        doc.fillColor(TINTA)
+           .fontSize(12)
+           .font('Helvetica-Bold')
+           .text('DESGLOSE POR FUNCIÓN', 20, yPosition);
+
+        const yCaja = yPosition + 20;
+        doc.rect(20, yCaja, anchoBloque, altoCaja)
+           .fillColor('#ffffff')
+           .fill()
+           .strokeColor('#e2e8f0')
+           .lineWidth(1)
+           .stroke();
+
+        filasFuncion.forEach((fila, i) => {
+          const yFila = yCaja + 14 + i * 20;
+
+          doc.fillColor(TINTA)
+             .fontSize(10)
+             .font('Helvetica')
+             .text(fila.etiqueta, 34, yFila);
+
+          doc.fillColor(TINTA)
+             .fontSize(10)
+             .font('Helvetica-Bold')
+             .text(fmtNum(fila.valor), 20, yFila, { width: anchoBloque - 14, align: 'right' });
+        });
+
+        yPosition = yCaja + altoCaja;
+      }
+
       // ========== ESTADO DE SUMINISTROS ==========
+      const altoSuministros = 85;
+      reservarEspacio(20 + altoSuministros);
       yPosition += 20;
       doc.fillColor(TINTA)
          .fontSize(12)
@@ -300,10 +366,13 @@ async function generarPDFProfesional(corte, impresora) {
           if (index >= 4) return;
           const level = supply.level || 0;
           const max = supply.max || 100;
-          const percentage = max > 0 ? (level / max) * 100 : level;
+          const { estadoNivel, porcentaje } = normalizarNivel(supply);
+          const medible = estadoNivel === ESTADO_OK;
+          const percentage = medible ? porcentaje : 0;
 
           let color = '#22c55e';
-          if (percentage <= 20) color = '#ef4444';
+          if (!medible) color = '#94a3b8';
+          else if (percentage <= 20) color = '#ef4444';
           else if (percentage <= 50) color = '#f59e0b';
 
           doc.rect(supplyX, yPosition + 25, supplyWidth - 10, 60)
@@ -326,19 +395,28 @@ async function generarPDFProfesional(corte, impresora) {
              .fillColor('#e2e8f0')
              .fill();
 
-          doc.rect(barX, barY, (percentage / 100) * barWidth, barHeight)
-             .fillColor(color)
-             .fill();
+          if (medible) {
+            doc.rect(barX, barY, (percentage / 100) * barWidth, barHeight)
+               .fillColor(color)
+               .fill();
+          }
+
+          // -3 / -2 de SNMP: sin barra, solo el texto del estado
+          let etiquetaNivel = `${Math.round(percentage)}%`;
+          if (estadoNivel === ESTADO_ALGO_RESTANTE) etiquetaNivel = 'Con suministro';
+          else if (!medible) etiquetaNivel = 'Nivel desconocido';
 
           doc.fillColor('#1e293b')
              .fontSize(7)
              .font('Helvetica-Bold')
-             .text(`${Math.round(percentage)}%`, barX, barY + 12, { width: barWidth, align: 'center' });
+             .text(etiquetaNivel, barX, barY + 12, { width: barWidth, align: 'center' });
 
-          doc.fillColor('#64748b')
-             .fontSize(7)
-             .font('Helvetica')
-             .text(`${level}${max > 0 ? `/${max}` : ''}`, barX, barY + 25, { width: barWidth, align: 'center' });
+          if (medible) {
+            doc.fillColor('#64748b')
+               .fontSize(7)
+               .font('Helvetica')
+               .text(`${level}${max > 0 ? `/${max}` : ''}`, barX, barY + 25, { width: barWidth, align: 'center' });
+          }
 
           supplyX += supplyWidth;
         });
@@ -350,8 +428,23 @@ async function generarPDFProfesional(corte, impresora) {
       }
 
       // ========== DETALLES ADICIONALES ==========
-      yPosition += 100;
-      doc.rect(20, yPosition, doc.page.width - 40, 60)
+      // MARK: Reinicios de contador
+      const reinicios = corte.reiniciosContador || [];
+      const notasReinicio = reinicios.map(r => {
+        const antes = r.antesGeneral ?? r.antesMono ?? r.antesColor;
+        const despues = r.despuesGeneral ?? r.despuesMono ?? r.despuesColor;
+        return `Reinicio de contador el ${fmtFecha(r.detectadoEn, timezone)}: ${fmtNum(antes)} → ${fmtNum(despues)}. El consumo incluye ambos tramos.`;
+      });
+
+      yPosition += altoSuministros + 15;
+
+      // Las notas pueden ocupar más de una línea: se mide su alto real
+      const anchoNota = doc.page.width - 60;
+      doc.fontSize(8).font('Helvetica');
+      const altosNotas = notasReinicio.map(nota => doc.heightOfString(nota, { width: anchoNota }) + 4);
+      const altoAdicional = 65 + altosNotas.reduce((a, b) => a + b, 0) + 6;
+      reservarEspacio(altoAdicional);
+      doc.rect(20, yPosition, doc.page.width - 40, altoAdicional)
          .fillColor('#f8fafc')
          .fill()
          .strokeColor('#e2e8f0')
@@ -368,16 +461,29 @@ async function generarPDFProfesional(corte, impresora) {
          .text(`Fecha de generación: ${fmtFechaHora(new Date(), timezone)}`, 30, yPosition + 35);
       doc.text(`Folio: ${corte.folio || corte._id || 'N/A'}`, 30, yPosition + 50);
 
+      let yNota = yPosition + 65;
+      notasReinicio.forEach((nota, i) => {
+        doc.fillColor('#c2410c').text(nota, 30, yNota, { width: anchoNota });
+        yNota += altosNotas[i];
+      });
+      yPosition += altoAdicional;
+
       // ========== PIE DE PÁGINA ==========
-      doc.rect(0, pageHeight - 40 - bottomMargin, doc.page.width, 40)
-         .fillColor('#1e293b')
-         .fill();
+      const paginas = doc.bufferedPageRange();
+      for (let i = paginas.start; i < paginas.start + paginas.count; i++) {
+        doc.switchToPage(i);
 
-      doc.fillColor('white')
-         .fontSize(7)
-         .font('Helvetica')
-         .text('Sistema de Monitoreo de Impresoras • Reporte generado automáticamente', 20, pageHeight - 25 - bottomMargin, { align: 'left' });
-      doc.text(corte.folio || '', 0, pageHeight - 25 - bottomMargin, { width: doc.page.width - 20, align: 'right' });
+        doc.rect(0, pageHeight - altoPie - bottomMargin, doc.page.width, altoPie)
+           .fillColor('#1e293b')
+           .fill();
+
+        const pie = paginas.count > 1 ? `${corte.folio || ''}  ·  ${i + 1}/${paginas.count}` : (corte.folio || '');
+        doc.fillColor('white')
+           .fontSize(7)
+           .font('Helvetica')
+           .text('Sistema de Monitoreo de Impresoras • Reporte generado automáticamente', 20, pageHeight - 25 - bottomMargin, { align: 'left', lineBreak: false });
+        doc.text(pie, 0, pageHeight - 25 - bottomMargin, { width: doc.page.width - 20, align: 'right', lineBreak: false });
+      }
 
       doc.end();
 
@@ -0,0 +1,68 @@
+const Usuario = require('../models/Usuario');
+
+/**
+ * Roles dentro de una cuenta (tenant = empresaId + ciudad):
+ *  - owner: todo, incluida la facturación y los miembros. La licencia vive en su Usuario.
+ *  - admin: clientes, impresoras, carpetas y configuración de alertas
+ *  - tecnico: registrar cortes y atender alertas
+ *  - lector: solo lectura
+ */
+const ROL_OWNER = 'owner';
+const ROL_ADMIN = 'admin';
+const ROL_TECNICO = 'tecnico';
+const ROL_LECTOR = 'lector';
+const ROLES = [ROL_OWNER, ROL_ADMIN, ROL_TECNICO, ROL_LECTOR];
+
+// Grupos que usan las rutas con requiereRol(...)
+const ROLES_GESTION = [ROL_OWNER, ROL_ADMIN];
+const ROLES_CORTES = [ROL_OWNER, ROL_ADMIN, ROL_TECNICO];
+
+// Usuarios anteriores a los roles no tienen el campo: todos eran dueños de su cuenta
+function rolDe(usuario) {
+  return usuario?.rol || ROL_OWNER;
+}
+
+function esOwner(usuario) {
+  return rolDe(usuario) === ROL_OWNER;
+}
+
+/**
+ * Filtro del Usuario dueño de una cuenta (incluye los que no tienen rol guardado).
+ */
+function filtroDueno(empresaId, ciudad) {
+  const filtro = { empresaId: String(empresaId), rol: { $in: [ROL_OWNER, null] } };
+  if (ciudad !== undefined) filtro.ciudad = ciudad;
+  return filtro;
+}
+
+/**
+ * Dueño de la cuenta de `usuario` (él mismo si es owner). null si la cuenta no tiene dueño.
+ */
+async function duenoDeCuenta(usuario) {
+  if (!usuario) return null;
+  if (esOwner(usuario)) return usuario;
+  return Usuario.findOne(filtroDueno(usuario.empresaId, usuario.ciudad)).lean();
+}
+
+/**
+ * Dueño de la cuenta del usuario logueado (req.user del JWT).
+ */
+async function duenoPorEmail(email) {
+  const usuario = await Usuario.findOne({ email }).lean();
+  return duenoDeCuenta(usuario);
+}
+
+module.exports = {
+  ROL_OWNER,
+  ROL_ADMIN,
+  ROL_TECNICO,
+  ROL_LECTOR,
+  ROLES,
+  ROLES_GESTION,
+  ROLES_CORTES,
+  rolDe,
+  esOwner,
+  filtroDueno,
+  duenoDeCuenta,
+  duenoPorEmail
+};
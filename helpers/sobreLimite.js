@@ -0,0 +1,146 @@
+const Empresa = require('../models/Empresa');
+const Impresora = require('../models/Impresora');
+const ImpresoraLatest = require('../models/ImpresoraLatest');
+const Usuario = require('../models/Usuario');
+const { obtenerLimitePorPlan, contarImpresorasActivasDeUsuario } = require('./limitesPlan');
+
+// Días que tiene el usuario para elegir qué impresoras conservar tras bajar de plan
+const GRACIA_SOBRE_LIMITE_DIAS = Number(process.env.GRACIA_SOBRE_LIMITE_DIAS || 7);
+
+function limiteDeUsuario(usuario) {
+  return usuario.limiteImpresoras ?? obtenerLimitePorPlan(usuario.plan);
+}
+
+/**
+ * Recalcula si el usuario tiene más impresoras activas que su límite.
+ * Abre el periodo de gracia la primera vez que lo detecta y lo cierra cuando vuelve a caber.
+ * Llamar siempre que cambie el límite (webhook de Stripe, overrides) o el número de activas.
+ *
+ * @returns {Promise<{ sobreLimite, limite, activas, exceso, graciaHasta }|null>}
+ */
+async function evaluarSobreLimite(userId, ahora = new Date()) {
+  const usuario = await Usuario.findById(userId)
+    .select('plan limiteImpresoras sobreLimiteDesde sobreLimiteGraciaHasta')
+    .lean();
+  if (!usuario) return null;
+
+  const limite = limiteDeUsuario(usuario);
+  const activas = await contarImpresorasActivasDeUsuario(userId);
+
+  // trial_expirado ya bloquea la ingesta: no tiene sentido forzar una selección
+  const sobreLimite = activas > limite && usuario.plan !== 'trial_expirado';
+  let graciaHasta = usuario.sobreLimiteGraciaHasta || null;
+
+  if (sobreLimite && !usuario.sobreLimiteDesde) {
+    graciaHasta = new Date(ahora.getTime() + GRACIA_SOBRE_LIMITE_DIAS * 24 * 60 * 60 * 1000);
+    await Usuario.updateOne(
+      { _id: userId },
+      { $set: { sobreLimiteDesde: ahora, sobreLimiteGraciaHasta: graciaHasta } }
+    );
+    console.log(`⚠️ Usuario ${userId} sobre el límite (${activas}/${limite}); gracia hasta ${graciaHasta.toISOString()}`);
+  } else if (!sobreLimite && usuario.sobreLimiteDesde) {
+    graciaHasta = null;
+    await Usuario.updateOne(
+      { _id: userId },
+      { $set: { sobreLimiteDesde: null, sobreLimiteGraciaHasta: null } }
+    );
+  }
+
+  return {
+    sobreLimite,
+    limite,
+    activas,
+    exceso: Math.max(0, activas - limite),
+    graciaHasta: sobreLimite ? graciaHasta : null
+  };
+}
+
+/**
+ * Impresoras activas del usuario ordenadas por última actividad (más reciente primero).
+ * Las nunca vistas van al final. `sugerida` marca las que caben en el límite.
+ */
+async function impresorasPorActividad(userId, limite) {
+  const empresas = await Empresa.find({ userId }).select('_id nombre').lean();
+  const mapEmpresas = new Map(empresas.map(e => [String(e._id), e]));
+
+  const impresoras = await Impresora.find({
+    empresaId: { $in: empresas.map(e => e._id) },
+    monitoreoActivo: true
+  }).select('empresaId host serial model printerName sysName customName').lean();
+
+  const latest = await ImpresoraLatest.find({ printerId: { $in: impresoras.map(i => i._id) } })
+    .select('printerId lastSeenAt')
+    .lean();
+  const mapLatest = new Map(latest.map(l => [String(l.printerId), l.lastSeenAt]));
+
+  return impresoras
+    .map(i => ({
+      _id: i._id,
+      displayName: i.customName || i.printerName || i.sysName || i.host,
+      host: i.host,
+      serial: i.serial,
+      model: i.model,
+      empresaId: i.empresaId,
+      clienteNombre: mapEmpresas.get(String(i.empresaId))?.nombre || null,
+      lastSeenAt: mapLatest.get(String(i._id)) || null
+    }))
+    .sort((a, b) => new Date(b.lastSeenAt || 0) - new Date(a.lastSeenAt || 0))
+    .map((i, idx) => ({ ...i, sugerida: idx < limite }));
+}
+
+/**
+ * Deja activas solo `conservarIds` (deben ser activas del usuario y no exceder el límite).
+ * Retorna { ok, desactivadas } o { ok: false, error }.
+ */
+async function aplicarSeleccion(userId, conservarIds) {
+  const usuario = await Usuario.findById(userId).select('plan limiteImpresoras').lean();
+  if (!usuario) return { ok: false, error: 'Usuario no encontrado' };
+
+  const limite = limiteDeUsuario(usuario);
+  const conservar = new Set(conservarIds.map(String));
+  if (conservar.size > limite) {
+    return { ok: false, error: `Solo puedes conservar ${limite} impresoras en tu plan` };
+  }
+
+  const activas = await impresorasPorActividad(userId, limite);
+  const idsActivas = new Set(activas.map(i => String(i._id)));
+  const ajenas = [...conservar].filter(id => !idsActivas.has(id));
+  if (ajenas.length > 0) {
+    return { ok: false, error: 'Algunas impresoras no existen o no están activas', ids: ajenas };
+  }
+
+  const desactivar = activas.filter(i => !conservar.has(String(i._id))).map(i => i._id);
+  if (desactivar.length > 0) {
+    await Impresora.updateMany({ _id: { $in: desactivar } }, { $set: { monitoreoActivo: false } });
+  }
+  await evaluarSobreLimite(userId);
+
+  return { ok: true, desactivadas: desactivar.length };
+}
+
+/**
+ * Fallback al vencer la gracia: desactiva las menos recientes hasta caber en el límite.
+ */
+async function desactivarMenosRecientes(userId) {
+  const usuario = await Usuario.findById(userId).select('plan limiteImpresoras').lean();
+  if (!usuario) return 0;
+
+  const limite = limiteDeUsuario(usuario);
+  const activas = await impresorasPorActividad(userId, limite);
+  const desactivar = activas.filter(i => !i.sugerida).map(i => i._id);
+
+  if (desactivar.length > 0) {
+    await Impresora.updateMany({ _id: { $in: desactivar } }, { $set: { monitoreoActivo: false } });
+  }
+  await evaluarSobreLimite(userId);
+
+  return desactivar.length;
+}
+
+module.exports = {
+  GRACIA_SOBRE_LIMITE_DIAS,
+  evaluarSobreLimite,
+  impresorasPorActividad,
+  aplicarSeleccion,
+  desactivarMenosRecientes
+};
@@ -1,13 +1,19 @@
 const jwt = require('jsonwebtoken');
+const Usuario = require('../models/Usuario');
+const { duenoDeCuenta } = require('../helpers/roles');
+const cuentaSuspendida = require('./cuentaSuspendida');
+const soloLecturaRestringida = require('./soloLecturaRestringida');
 
 /**
  * Middleware de autenticación JWT.
  * Valida el header Authorization: Bearer <token>
- * y adjunta req.user con { email, empresaId, ciudad }
+ * y adjunta req.user con { email, empresaId, ciudad, rol, suspendida, estadoPago }
+ * (suspendida / estadoPago son de la cuenta: el usuario y su dueño se cargan una sola vez aquí).
+ * Después aplica cuentaSuspendida y soloLecturaRestringida sobre req.user.
  *
  * Uso: router.get('/ruta', authMiddleware, handler)
  */
-function authMiddleware(req, res, next) {
+async function authMiddleware(req, res, next) {
   try {
     const auth = req.headers['authorization'] || '';
 
@@ -32,14 +38,30 @@ function authMiddleware(req, res, next) {
     // Verificar y decodificar el token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Un miembro que el dueño eliminó conserva un JWT vigente: deja de servir aquí
+    const usuario = await Usuario.findOne({ email: decoded.email }).lean();
+    if (!usuario) {
+      return res.status(401).json({
+        ok: false,
+        error: 'Usuario no encontrado',
+        codigo: 'USUARIO_NO_ENCONTRADO'
+      });
+    }
+    const dueno = await duenoDeCuenta(usuario);
+
     // Adjuntar datos del usuario a la request
     req.user = {
       email: decoded.email,
       empresaId: decoded.empresaId,
-      ciudad: decoded.ciudad
+      ciudad: decoded.ciudad,
+      // Tokens emitidos antes de los roles: eran siempre del dueño
+      rol: decoded.rol || 'owner',
+      suspendida: !!(usuario.suspendida || dueno?.suspendida),
+      // El cobro es del dueño: su estado aplica a toda la cuenta
+      estadoPago: dueno?.estadoPago || null
     };
 
-    next();
+    cuentaSuspendida(req, res, () => soloLecturaRestringida(req, res, next));
   } catch (err) {
     if (err.name === 'TokenExpiredError') {
       return res.status(401).json({
@@ -0,0 +1,17 @@
+/**
+ * Una cuenta suspendida por un super-admin no puede usar el panel aunque conserve un JWT vigente.
+ * Lo aplica authMiddleware con req.user ya cargado; las rutas sin JWT no pasan por aquí.
+ */
+function cuentaSuspendida(req, res, next) {
+  if (req.user?.suspendida) {
+    return res.status(403).json({
+      ok: false,
+      error: 'Cuenta suspendida. Contacta a soporte.',
+      codigo: 'CUENTA_SUSPENDIDA'
+    });
+  }
+
+  next();
+}
+
+module.exports = cuentaSuspendida;
@@ -0,0 +1,43 @@
+const { tieneBeneficio, planMinimoPara } = require('../helpers/beneficiosPlan');
+const { duenoPorEmail } = require('../helpers/roles');
+
+/**
+ * Middleware que exige un beneficio del plan. Va después de authMiddleware.
+ * Los beneficios son los del dueño de la cuenta; en caso de éxito lo deja en req.usuario
+ * (como verificarLicencia).
+ *
+ * Uso: router.post('/ruta', authMiddleware, requiereBeneficio('pdfMarcaPropia'), handler)
+ */
+function requiereBeneficio(clave, valor) {
+  return async function (req, res, next) {
+    try {
+      const usuario = await duenoPorEmail(req.user.email);
+      if (!usuario) {
+        return res.status(401).json({
+          ok: false,
+          error: 'Usuario no encontrado',
+          codigo: 'USUARIO_NO_ENCONTRADO'
+        });
+      }
+
+      if (!tieneBeneficio(usuario, clave, valor)) {
+        return res.status(403).json({
+          ok: false,
+          error: 'Tu plan no incluye esta funcionalidad',
+          codigo: 'BENEFICIO_NO_INCLUIDO',
+          beneficio: clave,
+          planSugerido: planMinimoPara(clave, valor),
+          necesitaActualizar: true
+        });
+      }
+
+      req.usuario = usuario;
+      next();
+    } catch (err) {
+      console.error('❌ Error verificando beneficio del plan:', err);
+      res.status(500).json({ ok: false, error: 'Error interno del servidor' });
+    }
+  };
+}
+
+module.exports = requiereBeneficio;
@@ -0,0 +1,43 @@
+const Usuario = require('../models/Usuario');
+const { rolDe } = require('../helpers/roles');
+
+/**
+ * Middleware que exige uno de los roles de la cuenta. Va después de authMiddleware.
+ * El rol se lee de la base (un cambio de rol surte efecto sin esperar a un JWT nuevo)
+ * y queda actualizado en req.user.rol.
+ *
+ * Uso: router.put('/ruta', authMiddleware, requiereRol(ROLES_GESTION), handler)
+ */
+function requiereRol(roles) {
+  return async function (req, res, next) {
+    try {
+      const usuario = await Usuario.findOne({ email: req.user.email }).select('rol').lean();
+      if (!usuario) {
+        return res.status(401).json({
+          ok: false,
+          error: 'Usuario no encontrado',
+          codigo: 'USUARIO_NO_ENCONTRADO'
+        });
+      }
+
+      const rol = rolDe(usuario);
+      if (!roles.includes(rol)) {
+        return res.status(403).json({
+          ok: false,
+          error: 'Tu rol no permite esta acción',
+          codigo: 'ROL_INSUFICIENTE',
+          rol,
+          rolesPermitidos: roles
+        });
+      }
+
+      req.user.rol = rol;
+      next();
+    } catch (err) {
+      console.error('❌ Error verificando rol:', err);
+      res.status(500).json({ ok: false, error: 'Error interno del servidor' });
+    }
+  };
+}
+
+module.exports = requiereRol;
@@ -0,0 +1,32 @@
+const Usuario = require('../models/Usuario');
+
+/**
+ * Middleware que exige un super-admin de la plataforma. Va después de authMiddleware.
+ * El rol se lee de la base en cada request (revocarlo surte efecto sin esperar al JWT).
+ * En caso de éxito deja al admin en req.admin.
+ *
+ * Uso: router.get('/ruta', authMiddleware, requiereSuperAdmin, handler)
+ */
+async function requiereSuperAdmin(req, res, next) {
+  try {
+    const admin = await Usuario.findOne({ email: req.user.email })
+      .select('email superAdmin suspendida')
+      .lean();
+
+    if (!admin || !admin.superAdmin || admin.suspendida) {
+      return res.status(403).json({
+        ok: false,
+        error: 'Solo disponible para administradores de la plataforma',
+        codigo: 'SOLO_SUPER_ADMIN'
+      });
+    }
+
+    req.admin = admin;
+    next();
+  } catch (err) {
+    console.error('❌ Error verificando super-admin:', err);
+    res.status(500).json({ ok: false, error: 'Error interno del servidor' });
+  }
+}
+
+module.exports = requiereSuperAdmin;
@@ -0,0 +1,30 @@
+const { ESTADO_RESTRINGIDO } = require('../helpers/pagoFallido');
+
+// Rutas que siguen aceptando escrituras con la cuenta restringida
+const RUTAS_PERMITIDAS = ['/api/stripe', '/api/metrics', '/api/device-token', '/api/avisos'];
+const METODOS_LECTURA = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Con la cuenta restringida por falta de pago el panel queda en solo lectura.
+ * La ingesta (ApiKey) y el pago siguen funcionando.
+ * Lo aplica authMiddleware con req.user ya cargado; las rutas sin JWT no pasan por aquí.
+ */
+function soloLecturaRestringida(req, res, next) {
+  if (METODOS_LECTURA.includes(req.method)) return next();
+
+  // Middleware de ruta: req.path es relativo al router, la ruta completa está en originalUrl
+  const ruta = req.originalUrl.split('?')[0];
+  if (RUTAS_PERMITIDAS.some(r => ruta.startsWith(r))) return next();
+
+  if (req.user?.estadoPago === ESTADO_RESTRINGIDO) {
+    return res.status(403).json({
+      ok: false,
+      error: 'Cuenta en solo lectura por falta de pago. Actualiza tu método de pago.',
+      codigo: 'CUENTA_RESTRINGIDA'
+    });
+  }
+
+  next();
+}
+
+module.exports = soloLecturaRestringida;
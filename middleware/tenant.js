@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const Empresa = require('../models/Empresa');
+const Impresora = require('../models/Impresora');
+
+/**
+ * Middlewares de aislamiento por cuenta (tenant = empresaId + ciudad del JWT).
+ * Van después de authMiddleware. Respuestas:
+ *  - 404 si el id no existe (o no es un ObjectId)
+ *  - 403 SIN_ACCESO si existe pero es de otra cuenta
+ */
+
+function sinAcceso(res) {
+  return res.status(403).json({
+    ok: false,
+    error: 'Sin acceso a este recurso',
+    codigo: 'SIN_ACCESO'
+  });
+}
+
+function esDelTenant(empresa, user) {
+  return !!empresa &&
+    String(empresa.empresaId) === String(user.empresaId) &&
+    empresa.ciudad === user.ciudad;
+}
+
+/**
+ * Carga la Empresa de req.params[param] en req.empresa si es de la cuenta.
+ */
+function cargarEmpresa(param = 'id') {
+  return async function (req, res, next) {
+    try {
+      const id = req.params[param];
+      const empresa = mongoose.isValidObjectId(id) ? await Empresa.findById(id).lean() : null;
+      if (!empresa) {
+        return res.status(404).json({ ok: false, error: 'Empresa no encontrada' });
+      }
+      if (!esDelTenant(empresa, req.user)) return sinAcceso(res);
+
+      req.empresa = empresa;
+      next();
+    } catch (err) {
+      console.error('❌ Error validando empresa del tenant:', err);
+      res.status(500).json({ ok: false, error: 'Error interno del servidor' });
+    }
+  };
+}
+
+/**
+ * Carga la Impresora de req.params[param] (y su Empresa) en req.impresora / req.empresa.
+ */
+function cargarImpresora(param = 'id') {
+  return async function (req, res, next) {
+    try {
+      const id = req.params[param];
+      const impresora = mongoose.isValidObjectId(id) ? await Impresora.findById(id).lean() : null;
+      if (!impresora) {
+        return res.status(404).json({ ok: false, error: 'Impresora no encontrada' });
+      }
+
+      const empresa = await Empresa.findById(impresora.empresaId).lean();
+      if (!esDelTenant(empresa, req.user)) return sinAcceso(res);
+
+      req.impresora = impresora;
+      req.empresa = empresa;
+      next();
+    } catch (err) {
+      console.error('❌ Error validando impresora del tenant:', err);
+      res.status(500).json({ ok: false, error: 'Error interno del servidor' });
+    }
+  };
+}
+
+module.exports = {
+  esDelTenant,
+  cargarEmpresa,
+  cargarImpresora
+};
@@ -1,4 +1,5 @@
 const Usuario = require('../models/Usuario');
+const { filtroDueno } = require('../helpers/roles');
 
 /**
  * Middleware que verifica que el usuario tenga una licencia válida.
@@ -18,7 +19,8 @@ async function verificarLicencia(req, res, next) {
       });
     }
 
-    const usuario = await Usuario.findOne({ empresaId, ciudad });
+    // La licencia es la del dueño de la cuenta
+    const usuario = await Usuario.findOne(filtroDueno(empresaId, ciudad));
 
     if (!usuario) {
       return res.status(401).json({
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Bitácora de acciones de super-admin sobre cuentas (quién cambió qué y cuándo)
+const accionAdminSchema = new mongoose.Schema({
+  adminEmail: { type: String, required: true, index: true },
+  adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'Usuario', default: null },
+
+  accion: {
+    type: String,
+    enum: ['ACTIVAR_LICENCIA', 'CAMBIAR_PLAN', 'EXTENDER_TRIAL', 'SUSPENDER', 'REACTIVAR'],
+    required: true,
+    index: true
+  },
+  usuarioEmail: { type: String, required: true, index: true },
+  usuarioId: { type: mongoose.Schema.Types.ObjectId, ref: 'Usuario', default: null },
+
+  // Solo los campos tocados, antes y después del cambio
+  antes: { type: mongoose.Schema.Types.Mixed, default: {} },
+  despues: { type: mongoose.Schema.Types.Mixed, default: {} },
+  motivo: { type: String, default: null }
+}, { strict: true, timestamps: { createdAt: true, updatedAt: false } });
+
+accionAdminSchema.index({ usuarioEmail: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AccionAdmin', accionAdminSchema);
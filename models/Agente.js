@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Instancia del agente SNMP instalada en el sitio del cliente
+const agenteSchema = new mongoose.Schema({
+  empresaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Empresa',
+    required: true,
+    index: true
+  },
+  // Id de instancia que genera el agente (varios agentes pueden compartir apiKey)
+  agentId: { type: String, required: true },
+  agentVersion: { type: String, default: null },
+  hostname: { type: String, default: null },
+  os: { type: String, default: null },
+  ip: { type: String, default: null },          // IP local reportada por el agente
+  ipPublica: { type: String, default: null },   // IP desde la que llega el request
+  ultimoHeartbeat: { type: Date, default: null },
+  ultimaIngesta: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+}, { strict: true });
+
+agenteSchema.index({ empresaId: 1, agentId: 1 }, { unique: true });
+
+module.exports = mongoose.model('Agente', agenteSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const agenteConfigSchema = new mongoose.Schema({
+  // Una config por empresa (aplica a todos sus agentes)
+  empresaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Empresa',
+    required: true,
+    unique: true,
+    index: true
+  },
+
+  // Se incrementa en cada cambio; el agente manda la suya y recibe la nueva si está atrasado
+  version: { type: Number, default: 1 },
+
+  // Cada cuánto sondea el agente (segundos)
+  intervaloSondeoSeg: { type: Number, min: 15, max: 3600, default: 60 },
+
+  // Qué escanear
+  subredes: { type: [String], default: [] },        // ej: "192.168.1.0/24"
+  hosts: { type: [String], default: [] },           // IPs/hostnames fijos
+  hostsExcluidos: { type: [String], default: [] },
+
+  // Credenciales SNMP
+  snmp: {
+    version: { type: String, enum: ['v1', 'v2c', 'v3'], default: 'v2c' },
+    community: { type: String, default: 'public' },
+    v3: {
+      usuario: { type: String, default: null },
+      nivelSeguridad: {
+        type: String,
+        enum: ['noAuthNoPriv', 'authNoPriv', 'authPriv', null],
+        default: null
+      },
+      protocoloAuth: { type: String, enum: ['MD5', 'SHA', 'SHA256', null], default: null },
+      claveAuth: { type: String, default: null },
+      protocoloPriv: { type: String, enum: ['DES', 'AES', 'AES256', null], default: null },
+      clavePriv: { type: String, default: null }
+    }
+  },
+
+  // OIDs extra a recolectar (vacío = los del agente por defecto)
+  oids: { type: [String], default: [] },
+
+  actualizadoPor: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, { strict: true });
+
+module.exports = mongoose.model('AgenteConfig', agenteConfigSchema);
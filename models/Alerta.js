@@ -19,13 +19,14 @@ const alertaSchema = new mongoose.Schema({
   // Tipo de alerta (genérico para futuro: TONER_BAJO, IMPRESORA_OFFLINE, etc.)
   tipoAlerta: {
     type: String,
-    enum: ['TONER_BAJO', 'IMPRESORA_OFFLINE', 'PAPEL_ATASCADO'],
+    enum: ['TONER_BAJO', 'IMPRESORA_OFFLINE', 'PAPEL_ATASCADO', 'PUERTA_ABIERTA', 'SIN_PAPEL', 'SERVICIO_REQUERIDO'],
     default: 'TONER_BAJO',
     index: true
   },
 
   // Datos específicos del disparo
   supplyName: { type: String, default: null },   // ej: "cyan ink 3JA00A"
+  tipoSuministro: { type: String, default: null }, // ej: "ink", "waste"
   nivel: { type: Number, default: null },        // % al momento del disparo
   nivelEscalado: {                                // cuál de los 3 niveles
     type: String,
@@ -36,6 +37,10 @@ const alertaSchema = new mongoose.Schema({
   // Ciclo del cartucho (se resetea al cambiar cartucho)
   cicloId: { type: String, default: null },
 
+  // 🆕 Alertas de estado (atasco, puerta abierta...): código interno y cuándo se resolvió
+  codigoEstado: { type: String, default: null },
+  resueltaEn: { type: Date, default: null },
+
   // A quién se le envió
   destinatariosEnviados: [{
     email: String,
@@ -32,12 +32,22 @@ const alertaConfigSchema = new mongoose.Schema({
   },
 
   // Tipos de suministro a monitorear (por defecto tóner e ink)
-  // Se puede extender en el futuro: 'drum', 'transfer', etc.
+  // Valores: helpers/clasificadorSuministros TIPOS_SUMINISTRO ('drum', 'waste', 'fuser'...)
   tiposSuministro: {
     type: [String],
     default: ['toner', 'ink']
   },
 
+  // 🆕 Alertas de estado de la impresora (atasco, puerta abierta, sin papel, servicio)
+  alertasEstado: { type: Boolean, default: true },
+
+  // 🆕 Nombres de bandeja (lastTrays.name) que avisan cuando se quedan sin papel
+  bandejasSinPapel: { type: [String], default: [] },
+
+  // 🆕 Aviso de impresora offline y minutos de gracia extra antes de dispararlo
+  alertasOffline: { type: Boolean, default: true },
+  offlineGraciaMin: { type: Number, min: 0, max: 1440, default: 10 },
+
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 }, { strict: true });
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Avisos in-app de la cuenta (cobro, licencia), no ligados a una impresora
+const avisoCuentaSchema = new mongoose.Schema({
+  // Tenant del usuario (mismo scope que DeviceToken)
+  empresaId: { type: String, required: true, index: true },
+  ciudad: { type: String, default: null, index: true },
+
+  tipo: {
+    type: String,
+    enum: ['PAGO_FALLIDO', 'CUENTA_RESTRINGIDA', 'PAGO_RECIBIDO', 'TRIAL_RECORDATORIO'],
+    required: true,
+    index: true
+  },
+  titulo: { type: String, required: true },
+  cuerpo: { type: String, default: '' },
+  data: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+  // A quién se le envió push
+  destinatariosEnviados: [{
+    email: String,
+    deviceToken: String,
+    platform: String,
+    messageId: String,
+    estado: {
+      type: String,
+      enum: ['sent', 'failed'],
+      default: 'sent'
+    },
+    error: { type: String, default: null }
+  }],
+
+  leidaPor: {
+    type: [String],
+    default: []
+  },
+
+  enviadoEn: { type: Date, default: Date.now, index: true }
+}, { strict: true });
+
+avisoCuentaSchema.index({ empresaId: 1, ciudad: 1, enviadoEn: -1 });
+
+module.exports = mongoose.model('AvisoCuenta', avisoCuentaSchema);
@@ -43,8 +43,49 @@ const cortesMensualesSchema = new mongoose.Schema({
   contadorInicioColor: { type: Number, default: null },
   contadorFinColor: { type: Number, default: null },
   totalPaginasColor: { type: Number, default: null },
-  suppliesInicio: [{ name: String, level: Number, max: Number }],
-  suppliesFin: [{ name: String, level: Number, max: Number }],
+  // MARK: Copias
+  contadorInicioCopia: { type: Number, default: null },
+  contadorFinCopia: { type: Number, default: null },
+  totalPaginasCopia: { type: Number, default: null },
+
+  // MARK: Impresiones (print)
+  contadorInicioImpresion: { type: Number, default: null },
+  contadorFinImpresion: { type: Number, default: null },
+  totalPaginasImpresion: { type: Number, default: null },
+
+  // MARK: Escaneos
+  contadorInicioEscaneo: { type: Number, default: null },
+  contadorFinEscaneo: { type: Number, default: null },
+  totalPaginasEscaneo: { type: Number, default: null },
+
+  // MARK: Fax
+  contadorInicioFax: { type: Number, default: null },
+  contadorFinFax: { type: Number, default: null },
+  totalPaginasFax: { type: Number, default: null },
+
+  // MARK: Hojas dúplex
+  contadorInicioDuplex: { type: Number, default: null },
+  contadorFinDuplex: { type: Number, default: null },
+  totalPaginasDuplex: { type: Number, default: null },
+
+  // MARK: Formato grande (A3 / Tabloide)
+  contadorInicioFormatoGrande: { type: Number, default: null },
+  contadorFinFormatoGrande: { type: Number, default: null },
+  totalPaginasFormatoGrande: { type: Number, default: null },
+
+  // MARK: Reinicios de contador dentro del periodo (totales ya cosidos)
+  reiniciosContador: [{
+    _id: false,
+    detectadoEn: Date,
+    antesGeneral: Number,
+    despuesGeneral: Number,
+    antesMono: Number,
+    despuesMono: Number,
+    antesColor: Number,
+    despuesColor: Number
+  }],
+  suppliesInicio: [{ name: String, level: Number, max: Number, tipo: String, color: String, estadoNivel: String, porcentaje: Number }],
+  suppliesFin: [{ name: String, level: Number, max: Number, tipo: String, color: String, estadoNivel: String, porcentaje: Number }],
   pdfPath: { type: String, default: null },
   nombreImpresora: { type: String, default: '' },
   modeloImpresora: { type: String, default: '' },
@@ -8,6 +8,16 @@ const empresaSchema = new mongoose.Schema({
   timezone: { type: String, default: 'America/Tijuana' },
   // 🆕 Referencia al usuario dueño (para validar límites)
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'Usuario', index: true },
+  // 🆕 Impresoras nuevas quedan pendientes de aprobación en vez de activarse solas
+  aprobacionImpresoras: { type: Boolean, default: false },
+  // 🆕 Impresoras que el usuario ignoró: la ingesta no las vuelve a crear
+  impresorasIgnoradas: [{
+    _id: false,
+    host: { type: String, default: null },
+    serial: { type: String, default: null },
+    nombre: { type: String, default: null },
+    ignoradaEn: { type: Date, default: Date.now }
+  }],
   ubicacion: {
     lat: { type: Number },
     lng: { type: Number },
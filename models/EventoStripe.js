@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Bitácora de eventos de Stripe: idempotencia del webhook y reproceso de fallidos
+const eventoStripeSchema = new mongoose.Schema({
+  eventId: { type: String, required: true, unique: true },
+  tipo: { type: String, required: true, index: true },
+  // event.created de Stripe (orden real de los cambios, no de llegada)
+  creado: { type: Date, required: true },
+  customer: { type: String, default: null, index: true },
+
+  estado: {
+    type: String,
+    enum: ['procesando', 'procesado', 'omitido', 'fallido'],
+    default: 'procesando',
+    index: true
+  },
+  motivo: { type: String, default: null },   // por qué se omitió (p. ej. 'desactualizado')
+  error: { type: String, default: null },
+  intentos: { type: Number, default: 0 },
+  procesadoEn: { type: Date, default: null }
+}, { strict: true, timestamps: true });
+
+eventoStripeSchema.index({ estado: 1, createdAt: -1 });
+
+module.exports = mongoose.model('EventoStripe', eventoStripeSchema);
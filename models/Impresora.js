@@ -15,12 +15,19 @@ const impresoraSchema = new mongoose.Schema({
   model: { type: String, default: null },
   printerName: { type: String, default: null },
   customName: { type: String, default: null },
+  // 🆕 Host/serial de impresoras fusionadas en esta (la ingesta también los reconoce)
+  aliasHosts: { type: [String], default: [] },
+  aliasSeriales: { type: [String], default: [] },
   // 🆕 Flag para impresoras que exceden el límite del plan
   monitoreoActivo: { type: Boolean, default: true, index: true },
+  // 🆕 'pendiente' = descubierta con Empresa.aprobacionImpresoras; no consume licencia hasta aprobarse
+  estadoAprobacion: { type: String, enum: ['aprobada', 'pendiente'], default: 'aprobada', index: true },
   createdAt: { type: Date, default: Date.now }
 }, { strict: true });
 
 impresoraSchema.index({ empresaId: 1, serial: 1 }, { unique: true, sparse: true });
 impresoraSchema.index({ empresaId: 1, host: 1 }, { unique: true });
+impresoraSchema.index({ empresaId: 1, aliasSeriales: 1 });
+impresoraSchema.index({ empresaId: 1, aliasHosts: 1 });
 
 module.exports = mongoose.model('Impresora', impresoraSchema);
\ No newline at end of file
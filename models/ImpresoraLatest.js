@@ -15,10 +15,37 @@ const impresoraLatestSchema = new mongoose.Schema({
   lastPageCount: { type: Number, default: null },
   lastPageMono: { type: Number, default: null },
   lastPageColor: { type: Number, default: null },
+  // 🆕 Contadores por función (solo si el MFP los expone)
+  lastPageCopy: { type: Number, default: null },
+  lastPagePrint: { type: Number, default: null },
+  lastPageScan: { type: Number, default: null },
+  lastPageFax: { type: Number, default: null },
+  lastPageDuplex: { type: Number, default: null },
+  lastPageLarge: { type: Number, default: null },
   lastSupplies: [{
     name: String,
     level: Number,
-    max: Number
+    max: Number,
+    // 🆕 Clasificación derivada (helpers/clasificadorSuministros)
+    tipo: String,       // toner | ink | drum | waste | fuser | transfer | staples | otro
+    color: String,      // black | cyan | magenta | yellow | null
+    clase: Number,      // prtMarkerSuppliesClass (3 consumible, 4 receptáculo)
+    // 🆕 Nivel normalizado (helpers/nivelSuministro): -2/-3 de SNMP no son porcentajes
+    estadoNivel: { type: String, enum: ['ok', 'desconocido', 'algo_restante'] },
+    porcentaje: Number
+  }],
+  // 🆕 Bandejas de entrada (estilo prtInputTable)
+  lastTrays: [{
+    _id: false,
+    indice: Number,
+    name: String,
+    mediaSize: String,
+    capacity: Number,
+    level: Number,
+    status: Number,        // prtInputStatus (PrtSubUnitStatusTC)
+    estadoNivel: String,
+    porcentaje: Number,
+    estado: { type: String, enum: ['ok', 'baja', 'vacia', 'error', 'desconocido'] }
   }],
   // 🆕 Tracking de suministros para detectar cruces de umbral y resets de cartucho
   suppliesTracking: [{
@@ -33,8 +60,28 @@ const impresoraLatestSchema = new mongoose.Schema({
     updatedAt: { type: Date, default: Date.now }
   }],
   lastSeenAt: { type: Date, default: null },
+  // 🆕 Instancia del agente que reportó la última lectura
+  agentId: { type: String, default: null },
   lowToner: { type: Boolean, default: false },
+  // 🆕 Caída detectada por el cron de offline (null = no hay caída abierta)
+  offlineDesde: { type: Date, default: null },
+  // 🆕 Caída de contador vista una vez; se confirma como reinicio con la siguiente lectura baja
+  reinicioPendiente: { type: mongoose.Schema.Types.Mixed, default: null },
+  // 🆕 Estado reportado por SNMP (hrPrinterDetectedErrorState / prtAlertTable)
+  estado: {
+    type: String,
+    enum: ['ok', 'advertencia', 'error', 'offline', null],
+    default: null
+  },
+  erroresActivos: [{
+    _id: false,
+    codigo: String,          // ej: 'papel_atascado', 'puerta_abierta'
+    descripcion: String,
+    desde: Date
+  }],
   online: { type: Boolean, default: true }
 }, { strict: true });
 
+impresoraLatestSchema.index({ offlineDesde: 1, lastSeenAt: 1 });
+
 module.exports = mongoose.model('ImpresoraLatest', impresoraLatestSchema); 
\ No newline at end of file
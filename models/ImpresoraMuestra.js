@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const { BENEFICIOS_POR_PLAN } = require('../helpers/beneficiosPlan');
+
+// Las muestras viven lo que permite el plan con más retención; la consulta de historial
+// ya recorta a la retención del plan de cada cuenta
+const RETENCION_MAXIMA_DIAS = Math.max(
+  ...Object.values(BENEFICIOS_POR_PLAN).map(b => b.retencionHistorialDias)
+);
+
+// Una muestra por cada ingesta del agente (serie de tiempo de contadores y suministros)
+const impresoraMuestraSchema = new mongoose.Schema({
+  printerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Impresora',
+    required: true
+  },
+  empresaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Empresa',
+    required: true,
+    index: true
+  },
+  ts: { type: Date, required: true },
+  pageCount: { type: Number, default: null },
+  pageMono: { type: Number, default: null },
+  pageColor: { type: Number, default: null },
+  supplies: [{
+    name: String,
+    level: Number,
+    max: Number,
+    tipo: String,
+    color: String,
+    estadoNivel: String,
+    porcentaje: Number
+  }],
+  online: { type: Boolean, default: true }
+}, { strict: true, versionKey: false });
+
+// Consultas de historial siempre van por impresora + rango de fechas
+impresoraMuestraSchema.index({ printerId: 1, ts: -1 });
+
+// TTL: Mongo purga solo las muestras más viejas que la retención máxima
+impresoraMuestraSchema.index({ ts: 1 }, { expireAfterSeconds: RETENCION_MAXIMA_DIAS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ImpresoraMuestra', impresoraMuestraSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Evento de contador que retrocedió (cambio de formatter, reset de fábrica o rollover)
+const reinicioContadorSchema = new mongoose.Schema({
+  printerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Impresora',
+    required: true
+  },
+  empresaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Empresa',
+    required: true,
+    index: true
+  },
+  // ts de la lectura que confirmó el contador nuevo (la segunda baja seguida)
+  detectadoEn: { type: Date, required: true },
+
+  // MARK: Valores antes/después (null si ese contador no retrocedió)
+  antesGeneral: { type: Number, default: null },
+  despuesGeneral: { type: Number, default: null },
+  antesMono: { type: Number, default: null },
+  despuesMono: { type: Number, default: null },
+  antesColor: { type: Number, default: null },
+  despuesColor: { type: Number, default: null },
+  // Contadores por función (helpers/cortes CONTADORES_FUNCION)
+  antesCopia: { type: Number, default: null },
+  despuesCopia: { type: Number, default: null },
+  antesImpresion: { type: Number, default: null },
+  despuesImpresion: { type: Number, default: null },
+  antesEscaneo: { type: Number, default: null },
+  despuesEscaneo: { type: Number, default: null },
+  antesFax: { type: Number, default: null },
+  despuesFax: { type: Number, default: null },
+  antesDuplex: { type: Number, default: null },
+  despuesDuplex: { type: Number, default: null },
+  antesFormatoGrande: { type: Number, default: null },
+  despuesFormatoGrande: { type: Number, default: null }
+}, { strict: true, timestamps: true });
+
+reinicioContadorSchema.index({ printerId: 1, detectadoEn: 1 });
+
+module.exports = mongoose.model('ReinicioContador', reinicioContadorSchema);
@@ -6,6 +6,13 @@ const usuarioSchema = new mongoose.Schema({
   activo: { type: Boolean, default: false },
   ciudad: String,
   empresaId: String,
+  // 🆕 Rol dentro de la cuenta (helpers/roles). La licencia y el plan son los del owner
+  rol: {
+    type: String,
+    enum: ['owner', 'admin', 'tecnico', 'lector'],
+    default: 'owner'
+  },
+  invitadoPor: { type: String, default: null },   // email del owner que lo agregó
   pais: { 
     type: String, 
     uppercase: true, 
@@ -15,6 +22,13 @@ const usuarioSchema = new mongoose.Schema({
   },
   fechaRegistro: { type: Date, default: Date.now },
 
+  // 🆕 Administración de la plataforma (routes/admin.js); se otorga con scripts/crearSuperAdmin.js
+  superAdmin: { type: Boolean, default: false },
+  // 🆕 Suspensión manual: sin login, sin panel y sin ingesta
+  suspendida: { type: Boolean, default: false, index: true },
+  suspendidaEn: { type: Date, default: null },
+  motivoSuspension: { type: String, default: null },
+
   // Campos de licencia
   plan: {
     type: String,
@@ -24,16 +38,40 @@ const usuarioSchema = new mongoose.Schema({
   licenciaTrial: { type: Boolean, default: true },
   fechaExpiracionTrial: Date,
   fechaExpiracionLicencia: Date,
+  // 🆕 Recordatorios de vencimiento del trial ya enviados ('3_dias' | '1_dia' | 'hoy')
+  recordatoriosTrialEnviados: { type: [String], default: [] },
 
   // 🆕 Sistema de límites por impresoras (no por empresas)
   limiteImpresoras: { type: Number, default: 5 },
+  // 🆕 Overrides de beneficios del plan (helpers/beneficiosPlan), p. ej. { pdfMarcaPropia: true }
+  beneficios: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // 🆕 Más impresoras activas que el límite (p. ej. tras bajar de plan): elegir antes de la fecha de gracia
+  sobreLimiteDesde: { type: Date, default: null },
+  sobreLimiteGraciaHasta: { type: Date, default: null, index: true },
+
+  // 🆕 Cobranza: cobro fallido → gracia → solo lectura (helpers/pagoFallido)
+  estadoPago: {
+    type: String,
+    enum: ['al_corriente', 'pago_fallido', 'restringido'],
+    default: 'al_corriente',
+    index: true
+  },
+  pagoFallidoDesde: { type: Date, default: null },
+  pagoFallidoGraciaHasta: { type: Date, default: null },
+  intentosPagoFallidos: { type: Number, default: 0 },
   stripeCustomerId: { type: String, index: true },
   stripeSubscriptionId: { type: String },
 
   // Para Stripe (después)
   stripeCustomerId: String,
   stripeSubscriptionId: String,
-  ultimoPago: Date
+  ultimoPago: Date,
+  // 🆕 Cancelación programada desde el panel / portal (se refleja con el webhook)
+  cancelarAlFinalDelPeriodo: { type: Boolean, default: false },
+  // 🆕 event.created del último evento de suscripción aplicado (descarta eventos que llegan tarde)
+  stripeEventoAplicadoEn: { type: Date, default: null }
 });
 
+usuarioSchema.index({ empresaId: 1, ciudad: 1, rol: 1 });
+
 module.exports = mongoose.model('Usuario', usuarioSchema);
\ No newline at end of file
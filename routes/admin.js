@@ -0,0 +1,321 @@
+const express = require('express');
+const router = express.Router();
+
+const Usuario = require('../models/Usuario');
+const AccionAdmin = require('../models/AccionAdmin');
+const authMiddleware = require('../middleware/authMiddleware');
+const requiereSuperAdmin = require('../middleware/requiereSuperAdmin');
+const { obtenerLimitePorPlan } = require('../helpers/limitesPlan');
+const { evaluarSobreLimite } = require('../helpers/sobreLimite');
+const { esOwner } = require('../helpers/roles');
+
+// 🔒 Todo lo de este router es solo para super-admins de la plataforma
+const soloSuperAdmin = [authMiddleware, requiereSuperAdmin];
+
+const PLANES_VALIDOS = Usuario.schema.path('plan').enumValues;
+const MAX_DIAS_EXTENSION_TRIAL = 90;
+const LIMITE_PAGINA_DEFAULT = 50;
+const LIMITE_PAGINA_MAX = 200;
+
+/**
+ * Helper interno: page/limit de la query → { page, limit, skip }.
+ */
+function paginacion(query) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(Math.max(1, parseInt(query.limit, 10) || LIMITE_PAGINA_DEFAULT), LIMITE_PAGINA_MAX);
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+function escaparRegex(texto) {
+  return texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Helper interno: filtros de búsqueda de cuentas (?q=&plan=&activo=&suspendida=).
+ */
+function filtroUsuarios(query) {
+  const filtro = {};
+  if (query.q && String(query.q).trim()) {
+    const regex = new RegExp(escaparRegex(String(query.q).trim()), 'i');
+    filtro.$or = [{ email: regex }, { empresaId: regex }, { ciudad: regex }];
+  }
+  if (query.plan) filtro.plan = String(query.plan);
+  if (query.activo === 'true' || query.activo === 'false') filtro.activo = query.activo === 'true';
+  if (query.suspendida === 'true' || query.suspendida === 'false') filtro.suspendida = query.suspendida === 'true';
+  return filtro;
+}
+
+/**
+ * Helper interno: plan y trial viven en el dueño; tocarlos en un miembro no tendría efecto.
+ */
+function rechazarMiembro(res) {
+  return res.status(400).json({
+    ok: false,
+    error: 'Es un usuario miembro: aplica el cambio al dueño de la cuenta',
+    codigo: 'NO_ES_DUENO'
+  });
+}
+
+/**
+ * Helper interno: deja constancia de la acción en la bitácora.
+ * `antes` guarda los valores previos de las mismas claves que trae `despues`.
+ */
+async function registrarAccion(req, accion, usuarioAntes, despues, motivo) {
+  const antes = {};
+  for (const campo of Object.keys(despues)) {
+    antes[campo] = usuarioAntes[campo] ?? null;
+  }
+
+  await AccionAdmin.create({
+    adminEmail: req.admin.email,
+    adminId: req.admin._id,
+    accion,
+    usuarioEmail: usuarioAntes.email,
+    usuarioId: usuarioAntes._id,
+    antes,
+    despues,
+    motivo: motivo ? String(motivo).trim() : null
+  });
+
+  console.log(`🛡️ ${req.admin.email} → ${accion} sobre ${usuarioAntes.email}`);
+}
+
+// MARK: Consultas
+
+// 👥 GET /api/usuarios?q=&plan=&activo=&suspendida=&page=1&limit=50 - Cuentas (super-admin)
+router.get('/usuarios', soloSuperAdmin, async (req, res) => {
+  try {
+    const filtro = filtroUsuarios(req.query);
+    const { page, limit, skip } = paginacion(req.query);
+
+    const [usuarios, total] = await Promise.all([
+      Usuario.find(filtro, { password: 0 }).sort({ fechaRegistro: -1 }).skip(skip).limit(limit),
+      Usuario.countDocuments(filtro)
+    ]);
+
+    res.json({
+      success: true,
+      count: usuarios.length,
+      total,
+      page,
+      limit,
+      usuarios
+    });
+  } catch (error) {
+    console.error('❌ Error obteniendo usuarios:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// 📋 GET /api/registros-pendientes?q=&page=1&limit=50 - Cuentas sin activar (super-admin)
+router.get('/registros-pendientes', soloSuperAdmin, async (req, res) => {
+  try {
+    const filtro = { ...filtroUsuarios(req.query), activo: false };
+    const { page, limit, skip } = paginacion(req.query);
+
+    const [registrosPendientes, total] = await Promise.all([
+      Usuario.find(filtro, { password: 0 }).sort({ fechaRegistro: -1 }).skip(skip).limit(limit),
+      Usuario.countDocuments(filtro)
+    ]);
+
+    res.json({
+      success: true,
+      count: registrosPendientes.length,
+      total,
+      page,
+      limit,
+      registros: registrosPendientes
+    });
+  } catch (error) {
+    console.error('❌ Error obteniendo registros:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// 📜 GET /api/acciones-admin?email=&accion=&page=1&limit=50 - Bitácora de acciones de super-admin
+router.get('/acciones-admin', soloSuperAdmin, async (req, res) => {
+  try {
+    const filtro = {};
+    if (req.query.email) filtro.usuarioEmail = String(req.query.email);
+    if (req.query.accion) filtro.accion = String(req.query.accion);
+    const { page, limit, skip } = paginacion(req.query);
+
+    const [acciones, total] = await Promise.all([
+      AccionAdmin.find(filtro).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      AccionAdmin.countDocuments(filtro)
+    ]);
+
+    res.json({ ok: true, count: acciones.length, total, page, limit, data: acciones });
+  } catch (err) {
+    console.error('❌ GET /api/acciones-admin:', err);
+    res.status(500).json({ ok: false, error: 'Error listando acciones' });
+  }
+});
+
+// MARK: Acciones sobre cuentas
+
+// 🔓 PATCH /api/usuarios/:email/activar - Activar licencia manualmente
+router.patch('/usuarios/:email/activar', soloSuperAdmin, async (req, res) => {
+  try {
+    const { email } = req.params;
+
+    const antes = await Usuario.findOne({ email }).lean();
+    if (!antes) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    const despues = { activo: true, fechaActivacion: new Date() };
+    const usuario = await Usuario.findOneAndUpdate({ email }, despues, { new: true });
+    await registrarAccion(req, 'ACTIVAR_LICENCIA', antes, despues, req.body?.motivo);
+
+    res.json({
+      success: true,
+      message: 'Licencia activada correctamente',
+      usuario: {
+        email: usuario.email,
+        empresaId: usuario.empresaId,
+        ciudad: usuario.ciudad,
+        activo: usuario.activo
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error activando licencia:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// 🎛️ PATCH /api/usuarios/:email/plan - Override manual de plan / límite / beneficios
+// Body: { plan?, limiteImpresoras? (null = el del plan), beneficios? (null = sin overrides), motivo? }
+router.patch('/usuarios/:email/plan', soloSuperAdmin, async (req, res) => {
+  try {
+    const { plan, limiteImpresoras, beneficios, motivo } = req.body || {};
+
+    const antes = await Usuario.findOne({ email: req.params.email }).lean();
+    if (!antes) {
+      return res.status(404).json({ ok: false, error: 'Usuario no encontrado' });
+    }
+    if (!esOwner(antes)) return rechazarMiembro(res);
+
+    const despues = {};
+    if (plan !== undefined) {
+      if (!PLANES_VALIDOS.includes(plan)) {
+        return res.status(400).json({ ok: false, error: `plan debe ser uno de: ${PLANES_VALIDOS.join(', ')}` });
+      }
+      despues.plan = plan;
+    }
+    if (limiteImpresoras !== undefined) {
+      if (limiteImpresoras !== null && (!Number.isInteger(limiteImpresoras) || limiteImpresoras < 0)) {
+        return res.status(400).json({ ok: false, error: 'limiteImpresoras debe ser un entero >= 0 o null' });
+      }
+      despues.limiteImpresoras = limiteImpresoras ?? obtenerLimitePorPlan(despues.plan || antes.plan);
+    } else if (despues.plan) {
+      despues.limiteImpresoras = obtenerLimitePorPlan(despues.plan);
+    }
+    if (beneficios !== undefined) {
+      if (beneficios !== null && (typeof beneficios !== 'object' || Array.isArray(beneficios))) {
+        return res.status(400).json({ ok: false, error: 'beneficios debe ser un objeto o null' });
+      }
+      despues.beneficios = beneficios || {};
+    }
+
+    if (Object.keys(despues).length === 0) {
+      return res.status(400).json({ ok: false, error: 'Nada que cambiar: envía plan, limiteImpresoras o beneficios' });
+    }
+
+    const usuario = await Usuario.findByIdAndUpdate(antes._id, { $set: despues }, { new: true })
+      .select('-password')
+      .lean();
+    await registrarAccion(req, 'CAMBIAR_PLAN', antes, despues, motivo);
+
+    // El límite pudo bajar: abre (o cierra) la gracia de impresoras sobre el límite
+    const sobreLimite = await evaluarSobreLimite(antes._id);
+
+    res.json({ ok: true, usuario, sobreLimite });
+  } catch (err) {
+    console.error('❌ PATCH /api/usuarios/:email/plan:', err);
+    res.status(500).json({ ok: false, error: 'Error actualizando plan' });
+  }
+});
+
+// ⏳ POST /api/usuarios/:email/extender-trial - Body: { dias, motivo? }
+router.post('/usuarios/:email/extender-trial', soloSuperAdmin, async (req, res) => {
+  try {
+    const dias = Number(req.body?.dias);
+    if (!Number.isInteger(dias) || dias < 1 || dias > MAX_DIAS_EXTENSION_TRIAL) {
+      return res.status(400).json({ ok: false, error: `dias debe ser un entero entre 1 y ${MAX_DIAS_EXTENSION_TRIAL}` });
+    }
+
+    const antes = await Usuario.findOne({ email: req.params.email }).lean();
+    if (!antes) {
+      return res.status(404).json({ ok: false, error: 'Usuario no encontrado' });
+    }
+    if (!esOwner(antes)) return rechazarMiembro(res);
+    if (!['trial', 'trial_expirado'].includes(antes.plan)) {
+      return res.status(400).json({ ok: false, error: 'La cuenta ya tiene un plan de pago' });
+    }
+
+    // Se extiende desde el vencimiento si sigue vigente, o desde hoy si ya venció
+    const ahora = new Date();
+    const base = antes.fechaExpiracionTrial && new Date(antes.fechaExpiracionTrial) > ahora
+      ? new Date(antes.fechaExpiracionTrial)
+      : ahora;
+    const fechaExpiracionTrial = new Date(base.getTime() + dias * 24 * 60 * 60 * 1000);
+
+    const despues = {
+      plan: 'trial',
+      licenciaTrial: true,
+      fechaExpiracionTrial,
+      // Vuelven a salir los recordatorios de vencimiento con la fecha nueva
+      recordatoriosTrialEnviados: []
+    };
+    if (antes.plan === 'trial_expirado') {
+      despues.limiteImpresoras = obtenerLimitePorPlan('trial');
+    }
+
+    await Usuario.updateOne({ _id: antes._id }, { $set: despues });
+    await registrarAccion(req, 'EXTENDER_TRIAL', antes, despues, req.body?.motivo);
+
+    const sobreLimite = await evaluarSobreLimite(antes._id);
+
+    res.json({ ok: true, fechaExpiracionTrial, dias, sobreLimite });
+  } catch (err) {
+    console.error('❌ POST /api/usuarios/:email/extender-trial:', err);
+    res.status(500).json({ ok: false, error: 'Error extendiendo trial' });
+  }
+});
+
+// 🚫 PATCH /api/usuarios/:email/suspension - Body: { suspendida, motivo? }
+router.patch('/usuarios/:email/suspension', soloSuperAdmin, async (req, res) => {
+  try {
+    const { suspendida, motivo } = req.body || {};
+    if (typeof suspendida !== 'boolean') {
+      return res.status(400).json({ ok: false, error: 'suspendida debe ser boolean' });
+    }
+
+    const antes = await Usuario.findOne({ email: req.params.email }).lean();
+    if (!antes) {
+      return res.status(404).json({ ok: false, error: 'Usuario no encontrado' });
+    }
+    if (suspendida && antes.superAdmin) {
+      return res.status(400).json({ ok: false, error: 'No se puede suspender a un super-admin' });
+    }
+    if (!!antes.suspendida === suspendida) {
+      return res.json({ ok: true, suspendida, sinCambios: true });
+    }
+
+    const despues = suspendida
+      ? { suspendida: true, suspendidaEn: new Date(), motivoSuspension: motivo ? String(motivo).trim() : null }
+      : { suspendida: false, suspendidaEn: null, motivoSuspension: null };
+
+    await Usuario.updateOne({ _id: antes._id }, { $set: despues });
+    await registrarAccion(req, suspendida ? 'SUSPENDER' : 'REACTIVAR', antes, despues, motivo);
+
+    res.json({ ok: true, suspendida });
+  } catch (err) {
+    console.error('❌ PATCH /api/usuarios/:email/suspension:', err);
+    res.status(500).json({ ok: false, error: 'Error actualizando suspensión' });
+  }
+});
+
+module.exports = router;
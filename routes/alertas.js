@@ -1,36 +1,18 @@
 const express = require('express');
 const router = express.Router();
-const mongoose = require('mongoose');
 const AlertaConfig = require('../models/AlertaConfig');
 const Alerta = require('../models/Alerta');
-const Impresora = require('../models/Impresora');
 const authMiddleware = require('../middleware/authMiddleware');
-
-/**
- * Helper: valida que el usuario tenga acceso a la impresora.
- * Retorna la impresora si tiene acceso, null si no.
- */
-async function verificarAccesoImpresora(printerId, user) {
-  if (!mongoose.isValidObjectId(printerId)) return null;
-
-  const impresora = await Impresora.findById(printerId).lean();
-  if (!impresora) return null;
-
-  // Verificar que la impresora pertenezca a la ciudad del usuario logueado
-  if (impresora.ciudad !== user.ciudad) return null;
-
-  return impresora;
-}
+const { cargarImpresora } = require('../middleware/tenant');
+const requiereRol = require('../middleware/requiereRol');
+const { ROLES_GESTION } = require('../helpers/roles');
+const { TIPOS_SUMINISTRO } = require('../helpers/clasificadorSuministros');
 
 // 📖 GET /api/alertas/config/:printerId - Obtener config de alertas de una impresora
-router.get('/alertas/config/:printerId', authMiddleware, async (req, res) => {
+router.get('/alertas/config/:printerId', authMiddleware, cargarImpresora('printerId'), async (req, res) => {
   try {
     const { printerId } = req.params;
-
-    const impresora = await verificarAccesoImpresora(printerId, req.user);
-    if (!impresora) {
-      return res.status(404).json({ ok: false, error: 'Impresora no encontrada o sin acceso' });
-    }
+    const impresora = req.impresora;
 
     let config = await AlertaConfig.findOne({ printerId }).lean();
 
@@ -43,6 +25,10 @@ router.get('/alertas/config/:printerId', authMiddleware, async (req, res) => {
         activa: false,
         umbralPorcentaje: 30,
         tiposSuministro: ['toner', 'ink'],
+        alertasEstado: true,
+        alertasOffline: true,
+        offlineGraciaMin: 10,
+        bandejasSinPapel: [],
         _default: true
       };
     }
@@ -55,15 +41,19 @@ router.get('/alertas/config/:printerId', authMiddleware, async (req, res) => {
 });
 
 // ✏️ PUT /api/alertas/config/:printerId - Crear/actualizar config de alertas
-router.put('/alertas/config/:printerId', authMiddleware, async (req, res) => {
+router.put('/alertas/config/:printerId', authMiddleware, requiereRol(ROLES_GESTION), cargarImpresora('printerId'), async (req, res) => {
   try {
     const { printerId } = req.params;
-    const { activa, umbralPorcentaje, tiposSuministro } = req.body;
-
-    const impresora = await verificarAccesoImpresora(printerId, req.user);
-    if (!impresora) {
-      return res.status(404).json({ ok: false, error: 'Impresora no encontrada o sin acceso' });
-    }
+    const {
+      activa,
+      umbralPorcentaje,
+      tiposSuministro,
+      alertasEstado,
+      alertasOffline,
+      offlineGraciaMin,
+      bandejasSinPapel
+    } = req.body;
+    const impresora = req.impresora;
 
     // Validaciones
     if (typeof activa !== 'boolean') {
@@ -72,21 +62,44 @@ router.put('/alertas/config/:printerId', authMiddleware, async (req, res) => {
     if (typeof umbralPorcentaje !== 'number' || umbralPorcentaje < 1 || umbralPorcentaje > 100) {
       return res.status(400).json({ ok: false, error: 'umbralPorcentaje debe ser 1-100' });
     }
+    if (Array.isArray(tiposSuministro) && tiposSuministro.some(t => !TIPOS_SUMINISTRO.includes(t))) {
+      return res.status(400).json({ ok: false, error: `tiposSuministro válidos: ${TIPOS_SUMINISTRO.join(', ')}` });
+    }
+    if (bandejasSinPapel !== undefined && (!Array.isArray(bandejasSinPapel) || bandejasSinPapel.some(b => typeof b !== 'string'))) {
+      return res.status(400).json({ ok: false, error: 'bandejasSinPapel debe ser un arreglo de nombres de bandeja' });
+    }
+    if (alertasEstado !== undefined && typeof alertasEstado !== 'boolean') {
+      return res.status(400).json({ ok: false, error: 'alertasEstado debe ser boolean' });
+    }
+    if (alertasOffline !== undefined && typeof alertasOffline !== 'boolean') {
+      return res.status(400).json({ ok: false, error: 'alertasOffline debe ser boolean' });
+    }
+    if (offlineGraciaMin !== undefined && (typeof offlineGraciaMin !== 'number' || offlineGraciaMin < 0 || offlineGraciaMin > 1440)) {
+      return res.status(400).json({ ok: false, error: 'offlineGraciaMin debe ser 0-1440' });
+    }
+
+    const set = {
+      activa,
+      umbralPorcentaje,
+      tiposSuministro: Array.isArray(tiposSuministro) ? tiposSuministro : ['toner', 'ink'],
+      empresaId: impresora.empresaId,
+      ciudad: impresora.ciudad,
+      updatedAt: new Date()
+    };
+    // Los campos opcionales solo se tocan si vienen en el body; si no, conservan lo guardado
+    // (o el default del schema al crear la config)
+    if (typeof alertasEstado === 'boolean') set.alertasEstado = alertasEstado;
+    if (typeof alertasOffline === 'boolean') set.alertasOffline = alertasOffline;
+    if (offlineGraciaMin !== undefined) set.offlineGraciaMin = offlineGraciaMin;
+    if (bandejasSinPapel !== undefined) set.bandejasSinPapel = bandejasSinPapel;
 
     const config = await AlertaConfig.findOneAndUpdate(
       { printerId },
       {
-        $set: {
-          activa,
-          umbralPorcentaje,
-          tiposSuministro: Array.isArray(tiposSuministro) ? tiposSuministro : ['toner', 'ink'],
-          empresaId: impresora.empresaId,
-          ciudad: impresora.ciudad,
-          updatedAt: new Date()
-        },
+        $set: set,
         $setOnInsert: { createdAt: new Date() }
       },
-      { new: true, upsert: true }
+      { new: true, upsert: true, setDefaultsOnInsert: true }
     );
 
     res.json({ ok: true, config });
@@ -120,7 +133,7 @@ router.get('/alertas/historial', authMiddleware, async (req, res) => {
   }
 });
 
-router.delete('/alertas/:id', authMiddleware, async (req, res) => {
+router.delete('/alertas/:id', authMiddleware, requiereRol(ROLES_GESTION), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -140,7 +153,7 @@ router.delete('/alertas/:id', authMiddleware, async (req, res) => {
   }
 });
 
-router.delete('/alertas', authMiddleware, async (req, res) => {
+router.delete('/alertas', authMiddleware, requiereRol(ROLES_GESTION), async (req, res) => {
   try {
     const result = await Alerta.deleteMany({ ciudad: req.user.ciudad });
     res.json({ ok: true, deletedCount: result.deletedCount });
@@ -4,7 +4,11 @@ const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 
 const Usuario = require('../models/Usuario');
-const { puedeActivarUnaMas, contarImpresorasTotalesDeUsuario, obtenerLimitePorPlan } = require('../helpers/limitesPlan');
+const authMiddleware = require('../middleware/authMiddleware');
+const { bannerCobro } = require('../helpers/pagoFallido');
+const { obtenerBeneficios } = require('../helpers/beneficiosPlan');
+const { rolDe, duenoDeCuenta, filtroDueno } = require('../helpers/roles');
+const { puedeActivarUnaMas, contarImpresorasTotalesDeUsuario, contarImpresorasPendientesDeUsuario, obtenerLimitePorPlan } = require('../helpers/limitesPlan');
 
 // 🔐 POST /login - Login con validación de licencia
 router.post('/login', async (req, res) => {
@@ -28,37 +32,53 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    // Los miembros entran con la licencia (y el estado) del dueño de la cuenta
+    const cuenta = await duenoDeCuenta(usuario);
+    if (!cuenta) {
+      return res.status(403).json({
+        error: 'La cuenta no tiene un dueño activo. Contacta a soporte.',
+        codigo: 'CUENTA_SIN_DUENO'
+      });
+    }
+
+    if (usuario.suspendida || cuenta.suspendida) {
+      return res.status(403).json({
+        error: 'Cuenta suspendida. Contacta a soporte.',
+        codigo: 'CUENTA_SUSPENDIDA'
+      });
+    }
+
     const ahora = new Date();
     let puedeAcceder = false;
     let mensajeError = '';
     let codigoError = '';
 
     // CASO A: Licencia activa (ya pagó)
-    if (usuario.activo && usuario.fechaExpiracionLicencia > ahora) {
+    if (cuenta.activo && cuenta.fechaExpiracionLicencia > ahora) {
       puedeAcceder = true;
     }
     // CASO B: Trial vigente
-    else if (usuario.licenciaTrial && usuario.fechaExpiracionTrial > ahora) {
+    else if (cuenta.licenciaTrial && cuenta.fechaExpiracionTrial > ahora) {
       puedeAcceder = true;
     }
 // CASO C: Trial expirado (por fecha O por flag del cron)
     else if (
-      usuario.plan === 'trial_expirado' ||
-      (usuario.licenciaTrial && usuario.fechaExpiracionTrial <= ahora)
+      cuenta.plan === 'trial_expirado' ||
+      (cuenta.licenciaTrial && cuenta.fechaExpiracionTrial <= ahora)
     ) {
-      const fechaExp = usuario.fechaExpiracionTrial
-        ? usuario.fechaExpiracionTrial.toLocaleDateString()
+      const fechaExp = cuenta.fechaExpiracionTrial
+        ? cuenta.fechaExpiracionTrial.toLocaleDateString()
         : 'recientemente';
       mensajeError = `Tu trial expiró el ${fechaExp}. Actualiza tu plan para continuar.`;
       codigoError = 'TRIAL_EXPIRADO';
     }
     // CASO D: Starter/Premium sin pagar
-    else if (usuario.plan !== 'trial' && !usuario.activo) {
+    else if (cuenta.plan !== 'trial' && !cuenta.activo) {
       mensajeError = 'Licencia pendiente de pago. Por favor completa el pago para activar tu cuenta.';
       codigoError = 'PENDIENTE_PAGO';
     }
     // CASO E: Licencia expirada (pagó pero expiró)
-    else if (usuario.activo && usuario.fechaExpiracionLicencia <= ahora) {
+    else if (cuenta.activo && cuenta.fechaExpiracionLicencia <= ahora) {
       mensajeError = 'Tu licencia ha expirado. Por favor renueva tu suscripción.';
       codigoError = 'LICENCIA_EXPIRADA';
     } else {
@@ -71,18 +91,18 @@ router.post('/login', async (req, res) => {
         error: mensajeError,
         codigo: codigoError,
         datosLicencia: {
-          plan: usuario.plan,
-          activo: usuario.activo,
-          licenciaTrial: usuario.licenciaTrial,
-          expiraTrial: usuario.fechaExpiracionTrial,
-          expiraLicencia: usuario.fechaExpiracionLicencia
+          plan: cuenta.plan,
+          activo: cuenta.activo,
+          licenciaTrial: cuenta.licenciaTrial,
+          expiraTrial: cuenta.fechaExpiracionTrial,
+          expiraLicencia: cuenta.fechaExpiracionLicencia
         }
       });
     }
 
     let diasRestantes = null;
-    if (usuario.licenciaTrial && usuario.fechaExpiracionTrial > ahora) {
-      diasRestantes = Math.ceil((usuario.fechaExpiracionTrial - ahora) / (1000 * 60 * 60 * 24));
+    if (cuenta.licenciaTrial && cuenta.fechaExpiracionTrial > ahora) {
+      diasRestantes = Math.ceil((cuenta.fechaExpiracionTrial - ahora) / (1000 * 60 * 60 * 24));
     }
 
     // 🆕 Generar JWT para app móvil / panel web (30 días de vigencia)
@@ -90,7 +110,8 @@ router.post('/login', async (req, res) => {
       {
         email: usuario.email,
         empresaId: usuario.empresaId,
-        ciudad: usuario.ciudad
+        ciudad: usuario.ciudad,
+        rol: rolDe(usuario)
       },
       process.env.JWT_SECRET,
       { expiresIn: '30d' }
@@ -104,14 +125,18 @@ router.post('/login', async (req, res) => {
       email: usuario.email,
       ciudad: usuario.ciudad,
       pais: usuario.pais || 'MX', 
+      rol: rolDe(usuario),
+      superAdmin: !!usuario.superAdmin,
       licencia: {
-        plan: usuario.plan,
-        activo: usuario.activo,
-        licenciaTrial: usuario.licenciaTrial,
+        plan: cuenta.plan,
+        activo: cuenta.activo,
+        licenciaTrial: cuenta.licenciaTrial,
         diasRestantesTrial: diasRestantes,
-        expiraTrial: usuario.fechaExpiracionTrial,
-        expiraLicencia: usuario.fechaExpiracionLicencia,
-        limiteImpresoras: usuario.limiteImpresoras
+        expiraTrial: cuenta.fechaExpiracionTrial,
+        expiraLicencia: cuenta.fechaExpiracionLicencia,
+        limiteImpresoras: cuenta.limiteImpresoras,
+        estadoPago: cuenta.estadoPago || 'al_corriente',
+        bannerCobro: bannerCobro(cuenta)
       }
     });
 
@@ -123,13 +148,13 @@ router.post('/login', async (req, res) => {
       ciudad: usuario.ciudad,
       pais: usuario.pais || 'MX', 
       licencia: {
-        plan: usuario.plan,
-        activo: usuario.activo,
-        licenciaTrial: usuario.licenciaTrial,
+        plan: cuenta.plan,
+        activo: cuenta.activo,
+        licenciaTrial: cuenta.licenciaTrial,
         diasRestantesTrial: diasRestantes,
-        expiraTrial: usuario.fechaExpiracionTrial,
-        expiraLicencia: usuario.fechaExpiracionLicencia,
-        limiteImpresoras: usuario.limiteImpresoras
+        expiraTrial: cuenta.fechaExpiracionTrial,
+        expiraLicencia: cuenta.fechaExpiracionLicencia,
+        limiteImpresoras: cuenta.limiteImpresoras
       }
     });
 
@@ -169,6 +194,15 @@ const {
       return res.status(400).json({ error: 'Este email ya está registrado' });
     }
 
+    // 🆕 Una cuenta (empresaId + ciudad) tiene un solo dueño; el resto entra por invitación
+    const cuentaExistente = await Usuario.exists(filtroDueno(empresaId, ciudad));
+    if (cuentaExistente) {
+      return res.status(400).json({
+        error: 'Esta empresa ya tiene una cuenta. Pide al dueño que te agregue como usuario.',
+        codigo: 'CUENTA_EXISTENTE'
+      });
+    }
+
     if (password.length < 6) {
       return res.status(400).json({ error: 'La contraseña debe tener al menos 6 caracteres' });
     }
@@ -229,10 +263,14 @@ diasTrial,
 });
 
 // ✅ GET /api/verificar-licencia/:empresaId - Verificar licencia (usado por frontend)
-router.get('/api/verificar-licencia/:empresaId', async (req, res) => {
+router.get('/api/verificar-licencia/:empresaId', authMiddleware, async (req, res) => {
   try {
     const { empresaId } = req.params;
-    const usuario = await Usuario.findOne({ empresaId });
+    // Solo la licencia de la propia cuenta
+    if (String(empresaId) !== String(req.user.empresaId)) {
+      return res.status(403).json({ ok: false, error: 'Sin acceso a esta empresa', codigo: 'SIN_ACCESO' });
+    }
+    const usuario = await Usuario.findOne(filtroDueno(empresaId, req.user.ciudad));
 
     if (!usuario) {
       return res.status(404).json({
@@ -304,83 +342,26 @@ expira: usuario.fechaExpiracionTrial,
   }
 });
 
-// 🔓 PATCH /api/usuarios/:email/activar - Activar licencia manualmente
-router.patch('/api/usuarios/:email/activar', async (req, res) => {
-  try {
-    const { email } = req.params;
-
-    const usuario = await Usuario.findOneAndUpdate(
-      { email },
-      { activo: true, fechaActivacion: new Date() },
-      { new: true }
-    );
-
-    if (!usuario) {
-      return res.status(404).json({ error: 'Usuario no encontrado' });
-    }
-
-    res.json({
-      success: true,
-      message: 'Licencia activada correctamente',
-      usuario: {
-        email: usuario.email,
-        empresaId: usuario.empresaId,
-        ciudad: usuario.ciudad,
-        activo: usuario.activo
-      }
-    });
-
-  } catch (error) {
-    console.error('❌ Error activando licencia:', error);
-    res.status(500).json({ error: 'Error interno del servidor' });
-  }
-});
-
-// 📋 GET /api/registros-pendientes
-router.get('/api/registros-pendientes', async (_req, res) => {
-  try {
-    const registrosPendientes = await Usuario.find(
-      { activo: false },
-      { password: 0 }
-    ).sort({ fechaRegistro: -1 });
-
-    res.json({
-      success: true,
-      count: registrosPendientes.length,
-      registros: registrosPendientes
-    });
-
-  } catch (error) {
-    console.error('❌ Error obteniendo registros:', error);
-    res.status(500).json({ error: 'Error interno del servidor' });
-  }
-});
-
-// 👥 GET /api/usuarios - Todos los usuarios (admin)
-router.get('/api/usuarios', async (_req, res) => {
-  try {
-    const usuarios = await Usuario.find({}, { password: 0 }).sort({ fechaRegistro: -1 });
-    res.json({
-      success: true,
-      count: usuarios.length,
-      usuarios
-    });
-  } catch (error) {
-    console.error('❌ Error obteniendo usuarios:', error);
-    res.status(500).json({ error: 'Error interno del servidor' });
-  }
-});
-
 // 📊 GET /api/usuarios/:email/plan-info - Info de plan para el front (barra de uso, modal upgrade)
-router.get('/api/usuarios/:email/plan-info', async (req, res) => {
+router.get('/api/usuarios/:email/plan-info', authMiddleware, async (req, res) => {
   try {
-    const usuario = await Usuario.findOne({ email: req.params.email }).lean();
+    // Miembros de la cuenta: el plan es el del dueño
+    const miembro = await Usuario.findOne({ email: req.params.email }).lean();
+    if (!miembro) {
+      return res.status(404).json({ ok: false, error: 'Usuario no encontrado' });
+    }
+    // Solo usuarios de la misma cuenta (empresaId + ciudad)
+    if (String(miembro.empresaId) !== String(req.user.empresaId) || miembro.ciudad !== req.user.ciudad) {
+      return res.status(403).json({ ok: false, error: 'Sin acceso a este usuario', codigo: 'SIN_ACCESO' });
+    }
+    const usuario = await duenoDeCuenta(miembro);
     if (!usuario) {
       return res.status(404).json({ ok: false, error: 'Usuario no encontrado' });
     }
 
     const check = await puedeActivarUnaMas(usuario._id);
     const totales = await contarImpresorasTotalesDeUsuario(usuario._id);
+    const pendientes = await contarImpresorasPendientesDeUsuario(usuario._id);
     const ahora = new Date();
     const diasRestantesTrial = usuario.fechaExpiracionTrial
       ? Math.max(0, Math.ceil((new Date(usuario.fechaExpiracionTrial) - ahora) / (1000 * 60 * 60 * 24)))
@@ -391,14 +372,22 @@ router.get('/api/usuarios/:email/plan-info', async (req, res) => {
       plan: usuario.plan,
       limiteImpresoras: check.limite,
       impresorasActivas: check.usadas,
-      impresorasInactivas: totales - check.usadas,
+      impresorasInactivas: totales - check.usadas - pendientes,
+      impresorasPendientes: pendientes,
       impresorasTotales: totales,
       puedeAgregarMas: check.puede,
+      beneficios: obtenerBeneficios(usuario),
       diasRestantesTrial,
       fechaExpiracionTrial: usuario.fechaExpiracionTrial,
       fechaExpiracionLicencia: usuario.fechaExpiracionLicencia,
+      cancelarAlFinalDelPeriodo: !!usuario.cancelarAlFinalDelPeriodo,
       trialExpirado: usuario.plan === 'trial_expirado',
-      activo: usuario.activo
+      estadoPago: usuario.estadoPago || 'al_corriente',
+      bannerCobro: bannerCobro(usuario),
+      sobreLimite: !!usuario.sobreLimiteDesde,
+      sobreLimiteGraciaHasta: usuario.sobreLimiteGraciaHasta || null,
+      activo: usuario.activo,
+      rol: rolDe(miembro)
     });
   } catch (err) {
     console.error('❌ plan-info:', err);
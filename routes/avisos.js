@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const AvisoCuenta = require('../models/AvisoCuenta');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// 🔔 GET /api/avisos - Avisos de la cuenta (cobro, licencia) más recientes primero
+router.get('/avisos', authMiddleware, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const avisos = await AvisoCuenta.find({
+      empresaId: req.user.empresaId,
+      ciudad: req.user.ciudad
+    })
+      .select('-destinatariosEnviados')
+      .sort({ enviadoEn: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({
+      ok: true,
+      count: avisos.length,
+      data: avisos.map(({ leidaPor, ...a }) => ({ ...a, leida: (leidaPor || []).includes(req.user.email) }))
+    });
+  } catch (err) {
+    console.error('GET /api/avisos:', err);
+    res.status(500).json({ ok: false, error: 'Error obteniendo avisos' });
+  }
+});
+
+// 🔔 PATCH /api/avisos/:id/read - Marcar aviso como leído
+router.patch('/avisos/:id/read', authMiddleware, async (req, res) => {
+  try {
+    const aviso = await AvisoCuenta.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        empresaId: req.user.empresaId,
+        ciudad: req.user.ciudad,
+        leidaPor: { $ne: req.user.email }
+      },
+      { $addToSet: { leidaPor: req.user.email } },
+      { new: true }
+    );
+
+    res.json({ ok: true, alreadyRead: !aviso });
+  } catch (err) {
+    console.error('PATCH /api/avisos/:id/read:', err);
+    res.status(500).json({ ok: false, error: 'Error marcando como leído' });
+  }
+});
+
+module.exports = router;
@@ -1,23 +1,23 @@
 const express = require('express');
 const router = express.Router();
 
+const mongoose = require('mongoose');
 const { Carpeta, AsignacionCarpeta } = require('../models/Carpeta');
+const Empresa = require('../models/Empresa');
+const authMiddleware = require('../middleware/authMiddleware');
+const requiereRol = require('../middleware/requiereRol');
+const { ROLES_GESTION } = require('../helpers/roles');
+
+// 🔒 El scope (empresaId + ciudad) sale siempre del JWT; lo que mande el cliente se ignora
 
 // ============================================================
 // 📁 CARPETAS
 // ============================================================
 
 // GET /api/carpetas - Obtener carpetas del usuario
-router.get('/carpetas', async (req, res) => {
+router.get('/carpetas', authMiddleware, async (req, res) => {
   try {
-    const { empresaId, ciudad } = req.query;
-
-    if (!empresaId || !ciudad) {
-      return res.status(400).json({
-        ok: false,
-        error: 'empresaId y ciudad son requeridos'
-      });
-    }
+    const { empresaId, ciudad } = req.user;
 
     const carpetas = await Carpeta.find({
       empresaId,
@@ -39,14 +39,15 @@ router.get('/carpetas', async (req, res) => {
 });
 
 // POST /api/carpetas - Crear carpeta
-router.post('/carpetas', async (req, res) => {
+router.post('/carpetas', authMiddleware, requiereRol(ROLES_GESTION), async (req, res) => {
   try {
-    const { nombre, parentId, empresaId, ciudad } = req.body;
+    const { nombre, parentId } = req.body;
+    const { empresaId, ciudad } = req.user;
 
-    if (!nombre || !empresaId || !ciudad) {
+    if (!nombre || !nombre.trim()) {
       return res.status(400).json({
         ok: false,
-        error: 'Nombre, empresaId y ciudad son requeridos'
+        error: 'Nombre es requerido'
       });
     }
 
@@ -86,10 +87,11 @@ router.post('/carpetas', async (req, res) => {
 });
 
 // PUT /api/carpetas/:id - Renombrar carpeta
-router.put('/carpetas/:id', async (req, res) => {
+router.put('/carpetas/:id', authMiddleware, requiereRol(ROLES_GESTION), async (req, res) => {
   try {
     const { id } = req.params;
-    const { nombre, empresaId, ciudad } = req.body;
+    const { nombre } = req.body;
+    const { empresaId, ciudad } = req.user;
 
     if (!nombre || nombre.trim().length < 1) {
       return res.status(400).json({
@@ -138,10 +140,10 @@ async function eliminarSubcarpetasRecursivamente(parentId, empresaId, ciudad) {
 }
 
 // DELETE /api/carpetas/:id - Eliminar carpeta
-router.delete('/carpetas/:id', async (req, res) => {
+router.delete('/carpetas/:id', authMiddleware, requiereRol(ROLES_GESTION), async (req, res) => {
   try {
     const { id } = req.params;
-    const { empresaId, ciudad } = req.body;
+    const { empresaId, ciudad } = req.user;
 
     const carpeta = await Carpeta.findOneAndDelete({
       _id: id,
@@ -178,17 +180,28 @@ router.delete('/carpetas/:id', async (req, res) => {
 // ============================================================
 
 // POST /api/asignaciones - Asignar empresa a carpeta
-router.post('/asignaciones', async (req, res) => {
+router.post('/asignaciones', authMiddleware, requiereRol(ROLES_GESTION), async (req, res) => {
   try {
-    const { empresaId, carpetaId, empresaPadreId, ciudad } = req.body;
+    const { empresaId, carpetaId } = req.body;
+    const empresaPadreId = req.user.empresaId;
+    const { ciudad } = req.user;
 
-    if (!empresaId || !empresaPadreId || !ciudad) {
+    if (!empresaId || !mongoose.isValidObjectId(empresaId)) {
       return res.status(400).json({
         ok: false,
-        error: 'empresaId, empresaPadreId y ciudad son requeridos'
+        error: 'empresaId es requerido'
       });
     }
 
+    // La empresa asignada tiene que ser de la cuenta
+    const empresa = await Empresa.findById(empresaId).select('empresaId ciudad').lean();
+    if (!empresa) {
+      return res.status(404).json({ ok: false, error: 'Empresa no encontrada' });
+    }
+    if (String(empresa.empresaId) !== String(empresaPadreId) || empresa.ciudad !== ciudad) {
+      return res.status(403).json({ ok: false, error: 'Sin acceso a esta empresa', codigo: 'SIN_ACCESO' });
+    }
+
     // Si carpetaId es null, eliminar la asignación
     if (carpetaId === null) {
       await AsignacionCarpeta.findOneAndDelete({
@@ -238,16 +251,10 @@ router.post('/asignaciones', async (req, res) => {
 });
 
 // GET /api/asignaciones - Obtener asignaciones del usuario
-router.get('/asignaciones', async (req, res) => {
+router.get('/asignaciones', authMiddleware, async (req, res) => {
   try {
-    const { empresaPadreId, ciudad } = req.query;
-
-    if (!empresaPadreId || !ciudad) {
-      return res.status(400).json({
-        ok: false,
-        error: 'empresaPadreId y ciudad son requeridos'
-      });
-    }
+    const empresaPadreId = req.user.empresaId;
+    const { ciudad } = req.user;
 
     const asignaciones = await AsignacionCarpeta.find({
       empresaPadreId,
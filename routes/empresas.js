@@ -6,21 +6,40 @@ const Usuario = require('../models/Usuario');
 const Impresora = require('../models/Impresora');
 const ImpresoraLatest = require('../models/ImpresoraLatest');
 const CortesMensuales = require('../models/CortesMensuales');
+const ImpresoraMuestra = require('../models/ImpresoraMuestra');
+const ReinicioContador = require('../models/ReinicioContador');
 const { Carpeta, AsignacionCarpeta } = require('../models/Carpeta');
 
 const { generarApiKey } = require('../helpers/apiKey');
-const { computeDerivedOnline } = require('../helpers/onlineStatus');
+const { computeDerivedOnline, computeAgenteOnline } = require('../helpers/onlineStatus');
+const { agentesPorEmpresa, resumenAgentes } = require('../helpers/agentes');
+const { obtenerConfig, enmascarar, validarCambios, guardarConfig } = require('../helpers/agenteConfig');
+const AgenteConfig = require('../models/AgenteConfig');
+const Agente = require('../models/Agente');
+const { puedeActivarUnaMas } = require('../helpers/limitesPlan');
+const { ESTADO_APROBADA, ESTADO_PENDIENTE } = require('../helpers/aprobacionImpresoras');
+const authMiddleware = require('../middleware/authMiddleware');
+const { cargarEmpresa } = require('../middleware/tenant');
+const requiereRol = require('../middleware/requiereRol');
+const { ROLES_GESTION, filtroDueno } = require('../helpers/roles');
+
+// 🔒 Todo el panel de empresas requiere sesión; el scope sale del JWT, no del cliente
+router.use(authMiddleware);
+
+// 🔒 Cualquier ruta con :id valida que la empresa sea de la cuenta (req.empresa)
+router.param('id', cargarEmpresa('id'));
+
+// 🔒 Crear, editar o borrar clientes y su configuración: owner/admin
+const soloGestion = requiereRol(ROLES_GESTION);
 
 // 📌 POST /api/empresas - Crear empresa
-router.post('/', async (req, res) => {
+router.post('/', soloGestion, async (req, res) => {
   try {
-    const { nombre, empresaId, ciudad } = req.body;
+    const { nombre } = req.body;
+    const { empresaId, ciudad } = req.user;
     if (!nombre || nombre.trim().length < 3) {
       return res.status(400).json({ ok: false, error: 'Nombre inválido' });
     }
-    if (!empresaId || !ciudad) {
-      return res.status(400).json({ ok: false, error: 'empresaId y ciudad son obligatorios' });
-    }
 
     const existe = await Empresa.findOne({
       nombre: nombre.trim(),
@@ -32,7 +51,7 @@ router.post('/', async (req, res) => {
     }
 
 // 🆕 Resolver userId desde el empresaId String (mismo patrón que la migración)
-    const usuarioDueno = await Usuario.findOne({ empresaId });
+    const usuarioDueno = await Usuario.findOne(filtroDueno(empresaId, ciudad));
     if (!usuarioDueno) {
       return res.status(404).json({
         ok: false,
@@ -64,10 +83,10 @@ router.post('/', async (req, res) => {
 // 📋 GET /api/empresas - Listar empresas
 router.get('/', async (req, res) => {
   try {
-    const { empresaId, ciudad } = req.query;
-    const q = {};
-    if (empresaId) q.empresaId = String(empresaId);
-    if (ciudad) q.ciudad = String(ciudad);
+    const q = {
+      empresaId: String(req.user.empresaId),
+      ciudad: req.user.ciudad
+    };
 
     const empresas = await Empresa
       .find(q, { _id: 1, nombre: 1, ubicacion: 1 })
@@ -84,6 +103,16 @@ router.get('/', async (req, res) => {
       .find({ printerId: { $in: impresoras.map(i => i._id) } }, { printerId: 1, lastSeenAt: 1, online: 1 })
       .lean();
 
+    // 🆕 Descubiertas esperando aprobación (badge en el panel)
+    const pendientes = await Impresora
+      .find({ empresaId: { $in: empresaIds }, estadoAprobacion: ESTADO_PENDIENTE }, { empresaId: 1 })
+      .lean();
+    const conteoPendientes = new Map();
+    for (const imp of pendientes) {
+      const key = String(imp.empresaId);
+      conteoPendientes.set(key, (conteoPendientes.get(key) || 0) + 1);
+    }
+
     const mapLatest = new Map(latest.map(l => [String(l.printerId), l]));
     const now = Date.now();
 
@@ -98,9 +127,17 @@ router.get('/', async (req, res) => {
       conteo.set(key, actual);
     }
 
+    const agentes = await agentesPorEmpresa(empresaIds);
+
     const data = empresas.map(e => {
       const c = conteo.get(String(e._id)) || { total: 0, online: 0 };
-      return { ...e, totalImpresoras: c.total, impresorasOnline: c.online };
+      return {
+        ...e,
+        totalImpresoras: c.total,
+        impresorasOnline: c.online,
+        impresorasPendientes: conteoPendientes.get(String(e._id)) || 0,
+        agentes: resumenAgentes(agentes.get(String(e._id)), now)
+      };
     });
 
     res.json({ ok: true, data });
@@ -161,14 +198,10 @@ router.get('/buscar-lugar', async (req, res) => {
 // 🔍 GET /api/empresas/:id - Obtener empresa específica (con apiKey)
 router.get('/:id', async (req, res) => {
   try {
-    const empresa = await Empresa.findById(req.params.id);
-    if (!empresa) {
-      return res.status(404).json({ ok: false, error: 'Empresa no encontrada' });
-    }
-
+    // req.empresa lo carga (y valida) router.param('id')
     res.json({
       ok: true,
-      data: empresa
+      data: req.empresa
     });
   } catch (err) {
     console.error('❌ GET /api/empresas/:id:', err);
@@ -176,8 +209,163 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// 🛰️ GET /api/empresas/:id/agentes - Agentes SNMP de la empresa y su estado
+router.get('/:id/agentes', async (req, res) => {
+  try {
+    const agentes = await Agente.find({ empresaId: req.empresa._id })
+      .sort({ ultimoHeartbeat: -1 })
+      .lean();
+
+    const now = Date.now();
+    res.json({
+      ok: true,
+      resumen: resumenAgentes(agentes, now),
+      data: agentes.map(a => ({ ...a, online: computeAgenteOnline(a, now) }))
+    });
+  } catch (err) {
+    console.error('❌ GET /api/empresas/:id/agentes:', err);
+    res.status(500).json({ ok: false, error: 'Error listando agentes' });
+  }
+});
+
+// ⚙️ GET /api/empresas/:id/agente-config - Config que se entrega a los agentes (secretos ocultos)
+router.get('/:id/agente-config', async (req, res) => {
+  try {
+    const config = await obtenerConfig(req.empresa._id);
+    res.json({ ok: true, config: enmascarar(config) });
+  } catch (err) {
+    console.error('❌ GET /api/empresas/:id/agente-config:', err);
+    res.status(500).json({ ok: false, error: 'Error obteniendo config del agente' });
+  }
+});
+
+// ⚙️ PUT /api/empresas/:id/agente-config - Editar config (incrementa versión; el agente la recibe en su próxima ingesta)
+router.put('/:id/agente-config', soloGestion, async (req, res) => {
+  try {
+    const actual = await obtenerConfig(req.empresa._id);
+    const { error, cambios } = validarCambios(req.body, actual);
+    if (error) {
+      return res.status(400).json({ ok: false, error });
+    }
+
+    const config = await guardarConfig(req.empresa._id, cambios, req.user.email);
+    res.json({ ok: true, config: enmascarar(config) });
+  } catch (err) {
+    console.error('❌ PUT /api/empresas/:id/agente-config:', err);
+    res.status(500).json({ ok: false, error: 'Error guardando config del agente' });
+  }
+});
+
+// 🛂 PUT /api/empresas/:id/aprobacion-impresoras - Activa/desactiva la cola de aprobación
+router.put('/:id/aprobacion-impresoras', soloGestion, async (req, res) => {
+  try {
+    const { activo } = req.body || {};
+    if (typeof activo !== 'boolean') {
+      return res.status(400).json({ ok: false, error: 'activo debe ser booleano' });
+    }
+
+    await Empresa.updateOne({ _id: req.empresa._id }, { $set: { aprobacionImpresoras: activo } });
+
+    res.json({ ok: true, aprobacionImpresoras: activo });
+  } catch (err) {
+    console.error('❌ PUT /api/empresas/:id/aprobacion-impresoras:', err);
+    res.status(500).json({ ok: false, error: 'Error guardando modo de aprobación' });
+  }
+});
+
+// 🛂 GET /api/empresas/:id/impresoras-pendientes - Impresoras descubiertas esperando aprobación
+router.get('/:id/impresoras-pendientes', async (req, res) => {
+  try {
+    const empresa = req.empresa;
+    const pendientes = await Impresora.find({ empresaId: empresa._id, estadoAprobacion: ESTADO_PENDIENTE })
+      .select('host serial sysName sysDescr model printerName ciudad createdAt')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      ok: true,
+      aprobacionImpresoras: !!empresa.aprobacionImpresoras,
+      count: pendientes.length,
+      data: pendientes,
+      ignoradas: empresa.impresorasIgnoradas || []
+    });
+  } catch (err) {
+    console.error('❌ GET /api/empresas/:id/impresoras-pendientes:', err);
+    res.status(500).json({ ok: false, error: 'Error listando impresoras pendientes' });
+  }
+});
+
+// ✅ POST /api/empresas/:id/impresoras-pendientes/:printerId/aprobar - Activa el monitoreo (respeta el plan)
+router.post('/:id/impresoras-pendientes/:printerId/aprobar', soloGestion, async (req, res) => {
+  try {
+    const { printerId } = req.params;
+    const empresa = req.empresa;
+
+    const impresora = await Impresora.findOne({ _id: printerId, empresaId: empresa._id, estadoAprobacion: ESTADO_PENDIENTE }).lean();
+    if (!impresora) {
+      return res.status(404).json({ ok: false, error: 'Impresora pendiente no encontrada' });
+    }
+
+    const check = empresa.userId
+      ? await puedeActivarUnaMas(empresa.userId)
+      : { puede: true };
+    if (!check.puede) {
+      return res.status(403).json({
+        ok: false,
+        error: 'Límite de impresoras del plan alcanzado',
+        codigo: 'LIMITE_ALCANZADO',
+        limite: check.limite,
+        usadas: check.usadas,
+        plan: check.plan
+      });
+    }
+
+    const aprobada = await Impresora.findByIdAndUpdate(
+      impresora._id,
+      { estadoAprobacion: ESTADO_APROBADA, monitoreoActivo: true },
+      { new: true }
+    ).lean();
+
+    res.json({ ok: true, data: aprobada, message: 'Impresora aprobada; el monitoreo inicia en la próxima lectura' });
+  } catch (err) {
+    console.error('❌ POST /api/empresas/:id/impresoras-pendientes/:printerId/aprobar:', err);
+    res.status(500).json({ ok: false, error: 'Error aprobando impresora' });
+  }
+});
+
+// 🚫 POST /api/empresas/:id/impresoras-pendientes/:printerId/ignorar - La borra y la bloquea para la ingesta
+router.post('/:id/impresoras-pendientes/:printerId/ignorar', soloGestion, async (req, res) => {
+  try {
+    const { printerId } = req.params;
+
+    const impresora = await Impresora.findOneAndDelete({ _id: printerId, empresaId: req.empresa._id, estadoAprobacion: ESTADO_PENDIENTE });
+    if (!impresora) {
+      return res.status(404).json({ ok: false, error: 'Impresora pendiente no encontrada' });
+    }
+
+    await Empresa.updateOne(
+      { _id: req.empresa._id },
+      {
+        $push: {
+          impresorasIgnoradas: {
+            host: impresora.host,
+            serial: impresora.serial || null,
+            nombre: impresora.printerName || impresora.sysName || impresora.model || null,
+            ignoradaEn: new Date()
+          }
+        }
+      }
+    );
+
+    res.json({ ok: true, message: `Impresora ${impresora.host} ignorada` });
+  } catch (err) {
+    console.error('❌ POST /api/empresas/:id/impresoras-pendientes/:printerId/ignorar:', err);
+    res.status(500).json({ ok: false, error: 'Error ignorando impresora' });
+  }
+});
+
 // ✏️ PUT /api/empresas/:id - Renombrar empresa
-router.put('/:id', async (req, res) => {
+router.put('/:id', soloGestion, async (req, res) => {
   try {
     const { id } = req.params;
     const { nombre } = req.body;
@@ -217,7 +405,7 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-router.put('/:id/ubicacion', async (req, res) => {
+router.put('/:id/ubicacion', soloGestion, async (req, res) => {
   try {
     const { lat, lng, direccion, referencia, origen } = req.body;
 
@@ -256,7 +444,7 @@ router.put('/:id/ubicacion', async (req, res) => {
   }
 });
 
-router.delete('/:id/ubicacion', async (req, res) => {
+router.delete('/:id/ubicacion', soloGestion, async (req, res) => {
   try {
     const empresa = await Empresa.findByIdAndUpdate(
       req.params.id,
@@ -276,7 +464,7 @@ router.delete('/:id/ubicacion', async (req, res) => {
 });
 
 // 🗑️ DELETE /api/empresas/:id - Eliminar empresa (limpia datos asociados)
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', soloGestion, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -293,6 +481,10 @@ router.delete('/:id', async (req, res) => {
       Impresora.deleteMany({ empresaId: id }),
       ImpresoraLatest.deleteMany({ printerId: { $in: printerIds } }),
       CortesMensuales.deleteMany({ empresaId: id }),
+      ImpresoraMuestra.deleteMany({ empresaId: id }),
+      Agente.deleteMany({ empresaId: id }),
+      AgenteConfig.deleteMany({ empresaId: id }),
+      ReinicioContador.deleteMany({ empresaId: id }),
       AsignacionCarpeta.deleteMany({ empresaId: id }),
     ]);
 
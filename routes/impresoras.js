@@ -1,32 +1,47 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 
 const Impresora = require('../models/Impresora');
 const ImpresoraLatest = require('../models/ImpresoraLatest');
 const CortesMensuales = require('../models/CortesMensuales');
+const ImpresoraMuestra = require('../models/ImpresoraMuestra');
+const ReinicioContador = require('../models/ReinicioContador');
 
-const { computeDerivedOnline, ONLINE_STALE_MS } = require('../helpers/onlineStatus');
+const { computeDerivedOnline, computeEstadoConexion, ONLINE_STALE_MS } = require('../helpers/onlineStatus');
+const { agentesPorEmpresa, resumenAgentes } = require('../helpers/agentes');
 const Empresa = require('../models/Empresa');
+const Usuario = require('../models/Usuario');
 const authMiddleware = require('../middleware/authMiddleware');
+const { esDelTenant, cargarEmpresa, cargarImpresora } = require('../middleware/tenant');
+const requiereRol = require('../middleware/requiereRol');
+const { ROLES_GESTION, duenoPorEmail } = require('../helpers/roles');
 const { Carpeta, AsignacionCarpeta } = require('../models/Carpeta');
+const { consultarHistorial, parsearRangoHistorial } = require('../helpers/historial');
+const { normalizarNivel } = require('../helpers/nivelSuministro');
+const { fusionarImpresoras } = require('../helpers/fusionImpresoras');
+const { ESTADO_PENDIENTE } = require('../helpers/aprobacionImpresoras');
+const { puedeActivarUnaMas } = require('../helpers/limitesPlan');
+const { evaluarSobreLimite, impresorasPorActividad, aplicarSeleccion } = require('../helpers/sobreLimite');
+const { obtenerBeneficios } = require('../helpers/beneficiosPlan');
 
 // 🆕 Helper: nombre final que ve el usuario (prioridad: custom > snmp > fallback)
 const resolveDisplayName = (i) =>
   i.customName || i.printerName || i.sysName || i.host || 'Impresora';
 
 // 🖨️ GET /api/empresas/:empresaId/impresoras - Listar impresoras
-router.get('/empresas/:empresaId/impresoras', async (req, res) => {
+router.get('/empresas/:empresaId/impresoras', authMiddleware, cargarEmpresa('empresaId'), async (req, res) => {
   try {
     const { empresaId } = req.params;
-    const { ciudad } = req.query;
 
-    const q = { empresaId };
-    if (ciudad) q.ciudad = ciudad;
+    // Las pendientes de aprobación se listan aparte (/api/empresas/:id/impresoras-pendientes)
+    const q = { empresaId, estadoAprobacion: { $ne: ESTADO_PENDIENTE } };
 
     const impresoras = await Impresora.find(q).lean();
     const ids = impresoras.map(i => i._id);
     const latest = await ImpresoraLatest.find({ printerId: { $in: ids } }).lean();
     const mapLatest = new Map(latest.map(l => [String(l.printerId), l]));
+    const agentes = (await agentesPorEmpresa([empresaId])).get(String(empresaId)) || [];
 
     const now = Date.now();
     const data = impresoras.map(i => {
@@ -38,6 +53,7 @@ router.get('/empresas/:empresaId/impresoras', async (req, res) => {
         ...i,
         displayName: resolveDisplayName(i),  // 🆕 nombre final ya resuelto
         online: derivedOnline,
+        estadoConexion: computeEstadoConexion(l, agentes, now),
         latest: latestWithDerived
       };
     });
@@ -50,7 +66,7 @@ router.get('/empresas/:empresaId/impresoras', async (req, res) => {
 });
 
 // ✏️ PUT /api/impresoras/:id - Renombrar impresora (guarda en customName)
-router.put('/impresoras/:id', async (req, res) => {
+router.put('/impresoras/:id', authMiddleware, requiereRol(ROLES_GESTION), cargarImpresora('id'), async (req, res) => {
   try {
     const { id } = req.params;
     const { printerName } = req.body; // el front sigue mandando "printerName"
@@ -95,7 +111,7 @@ router.put('/impresoras/:id', async (req, res) => {
 });
 
 // 🗑️ DELETE /api/impresoras/:id - Eliminar impresora
-router.delete('/impresoras/:id', async (req, res) => {
+router.delete('/impresoras/:id', authMiddleware, requiereRol(ROLES_GESTION), cargarImpresora('id'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -110,6 +126,8 @@ router.delete('/impresoras/:id', async (req, res) => {
     await Promise.all([
       ImpresoraLatest.deleteMany({ printerId: id }),
       CortesMensuales.deleteMany({ printerId: id }),
+      ImpresoraMuestra.deleteMany({ printerId: id }),
+      ReinicioContador.deleteMany({ printerId: id }),
     ]);
 
     res.json({
@@ -148,26 +166,16 @@ async function empresasDelUsuario(user) {
 
 
 // 📱 GET /api/impresoras/mias/:id - Detalle completo de una impresora
-router.get('/impresoras/mias/:id', authMiddleware, async (req, res) => {
+router.get('/impresoras/mias/:id', authMiddleware, cargarImpresora('id'), async (req, res) => {
   try {
     const { id } = req.params;
-
-    const impresora = await Impresora.findById(id).lean();
-    if (!impresora) {
-      return res.status(404).json({ ok: false, error: 'Impresora no encontrada' });
-    }
-
-    const empresas = await empresasDelUsuario(req.user);
-    const empresaIds = empresas.map(e => String(e._id));
-    if (!empresaIds.includes(String(impresora.empresaId)) || impresora.ciudad !== req.user.ciudad) {
-      return res.status(403).json({ ok: false, error: 'Sin acceso a esta impresora' });
-    }
-
-    const clienteDoc = empresas.find(e => String(e._id) === String(impresora.empresaId));
-    const nombreCliente = clienteDoc?.nombre || null;
+    const impresora = req.impresora;
+    const nombreCliente = req.empresa?.nombre || null;
 
     const latest = await ImpresoraLatest.findOne({ printerId: id }).lean();
-    const derivedOnline = computeDerivedOnline(latest, Date.now());
+    const agentes = (await agentesPorEmpresa([impresora.empresaId])).get(String(impresora.empresaId)) || [];
+    const now = Date.now();
+    const derivedOnline = computeDerivedOnline(latest, now);
 
     res.json({
       ok: true,
@@ -182,14 +190,19 @@ router.get('/impresoras/mias/:id', authMiddleware, async (req, res) => {
         sysDescr: impresora.sysDescr,
         ciudad: impresora.ciudad,
         online: derivedOnline,
+        estadoConexion: computeEstadoConexion(latest, agentes, now),
         lastSeenAt: latest?.lastSeenAt || null,
         counters: {
           total: latest?.lastPageCount || null,
           mono: latest?.lastPageMono || null,
           color: latest?.lastPageColor || null
         },
-        supplies: latest?.lastSupplies || [],
-        lowToner: latest?.lowToner || false
+        // Lecturas viejas no traen estadoNivel/porcentaje: se recalculan aquí
+        supplies: (latest?.lastSupplies || []).map(s => ({ ...s, ...normalizarNivel(s) })),
+        lowToner: latest?.lowToner || false,
+        estado: latest?.estado || null,
+        erroresActivos: latest?.erroresActivos || [],
+        trays: latest?.lastTrays || []
       }
     });
   } catch (err) {
@@ -198,6 +211,287 @@ router.get('/impresoras/mias/:id', authMiddleware, async (req, res) => {
   }
 });
 
+// 📈 GET /api/impresoras/:id/historial?desde&hasta&granularidad - Serie de contadores y suministros
+router.get('/impresoras/:id/historial', authMiddleware, cargarImpresora('id'), async (req, res) => {
+  try {
+    const rango = parsearRangoHistorial(req.query);
+    if (rango.error) {
+      return res.status(400).json({ ok: false, error: rango.error });
+    }
+
+    const impresora = req.impresora;
+    const cliente = req.empresa;
+
+    // 🆕 El plan del dueño limita hasta dónde se puede consultar
+    const dueno = cliente.userId ? await Usuario.findById(cliente.userId).lean() : null;
+    const { retencionHistorialDias } = obtenerBeneficios(dueno);
+    const desdeMinimo = new Date(Date.now() - retencionHistorialDias * 24 * 60 * 60 * 1000);
+    const recortado = rango.desde < desdeMinimo;
+    if (recortado) rango.desde = desdeMinimo;
+
+    // Todo el rango pedido cae fuera de la retención del plan: no hay nada que consultar
+    const { puntos, truncado } = rango.desde > rango.hasta
+      ? { puntos: [], truncado: false }
+      : await consultarHistorial(impresora._id, {
+        ...rango,
+        timezone: cliente.timezone || 'America/Tijuana'
+      });
+
+    res.json({
+      ok: true,
+      printerId: impresora._id,
+      desde: rango.desde,
+      hasta: rango.hasta,
+      granularidad: rango.granularidad,
+      retencionHistorialDias,
+      recortado,
+      truncado,
+      count: puntos.length,
+      data: puntos
+    });
+  } catch (err) {
+    console.error('GET /api/impresoras/:id/historial:', err);
+    res.status(500).json({ ok: false, error: 'Error obteniendo historial' });
+  }
+});
+
+// 🔗 POST /api/impresoras/:id/fusionar - Fusiona otra impresora (duplicada) en esta
+router.post('/impresoras/:id/fusionar', authMiddleware, requiereRol(ROLES_GESTION), cargarImpresora('id'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { duplicadaId } = req.body || {};
+
+    if (!duplicadaId || !mongoose.isValidObjectId(duplicadaId)) {
+      return res.status(400).json({ ok: false, error: 'duplicadaId requerido' });
+    }
+    if (String(duplicadaId) === String(id)) {
+      return res.status(400).json({ ok: false, error: 'No se puede fusionar una impresora consigo misma' });
+    }
+
+    const sobreviviente = req.impresora;
+    const duplicada = await Impresora.findById(duplicadaId).lean();
+    if (!duplicada) {
+      return res.status(404).json({ ok: false, error: 'Impresora no encontrada' });
+    }
+
+    const empresaDuplicada = await Empresa.findById(duplicada.empresaId).select('empresaId ciudad').lean();
+    if (!esDelTenant(empresaDuplicada, req.user)) {
+      return res.status(403).json({ ok: false, error: 'Sin acceso a este recurso', codigo: 'SIN_ACCESO' });
+    }
+    if (String(sobreviviente.empresaId) !== String(duplicada.empresaId)) {
+      return res.status(400).json({ ok: false, error: 'Solo se pueden fusionar impresoras del mismo cliente' });
+    }
+
+    const impresora = await fusionarImpresoras(sobreviviente, duplicada);
+
+    res.json({
+      ok: true,
+      data: {
+        ...impresora,
+        displayName: resolveDisplayName(impresora)
+      },
+      message: `"${resolveDisplayName(duplicada)}" fusionada en "${resolveDisplayName(impresora)}"`
+    });
+  } catch (err) {
+    console.error('❌ POST /api/impresoras/:id/fusionar:', err);
+    res.status(500).json({ ok: false, error: 'Error fusionando impresoras' });
+  }
+});
+
+// MARK: Monitoreo (activar / desactivar dentro del límite del plan)
+const MAX_MONITOREO_LOTE = 500;
+
+/**
+ * Helper interno: cambia monitoreoActivo de una impresora ya validada.
+ * Activar exige cupo en el plan del dueño (sin dueño no hay plan: se niega); desactivar siempre se permite.
+ * Retorna { ok, monitoreoActivo } o { ok: false, status, error, codigo? }.
+ */
+async function cambiarMonitoreo(impresora, activo, userId) {
+  if (impresora.estadoAprobacion === ESTADO_PENDIENTE) {
+    return { ok: false, status: 409, error: 'Impresora pendiente de aprobación', codigo: 'PENDIENTE_APROBACION' };
+  }
+  if (!!impresora.monitoreoActivo === activo) {
+    return { ok: true, monitoreoActivo: activo };
+  }
+
+  const limiteAlcanzado = { ok: false, status: 403, error: 'Límite de impresoras del plan alcanzado', codigo: 'LIMITE_ALCANZADO' };
+  if (activo) {
+    if (!userId) {
+      return { ok: false, status: 403, error: 'El cliente no tiene dueño con plan para activar el monitoreo', codigo: 'SIN_DUENO' };
+    }
+    const check = await puedeActivarUnaMas(userId);
+    if (!check.puede) return limiteAlcanzado;
+  }
+
+  const cambio = await Impresora.updateOne(
+    { _id: impresora._id, monitoreoActivo: { $ne: activo } },
+    { $set: { monitoreoActivo: activo } }
+  );
+
+  // Dos activaciones simultáneas pueden pasar el check: se recuenta y la que excede se revierte
+  if (activo && cambio.modifiedCount > 0) {
+    const despues = await puedeActivarUnaMas(userId);
+    if (despues.usadas > despues.limite) {
+      await Impresora.updateOne({ _id: impresora._id, monitoreoActivo: true }, { $set: { monitoreoActivo: false } });
+      return limiteAlcanzado;
+    }
+  }
+
+  // Desactivar puede sacar al usuario del estado "sobre el límite"
+  if (userId) {
+    evaluarSobreLimite(userId).catch(err => {
+      console.error('❌ Sobre límite (background):', err);
+    });
+  }
+  return { ok: true, monitoreoActivo: activo };
+}
+
+/**
+ * Helper interno: conteos del plan después de un cambio (mismos números que plan-info).
+ */
+async function resumenPlan(userId) {
+  if (!userId) return null;
+  const check = await puedeActivarUnaMas(userId);
+  return { limite: check.limite, activas: check.usadas, puedeAgregarMas: check.puede, plan: check.plan };
+}
+
+// 📉 GET /api/impresoras/sobre-limite - Activas por última actividad para elegir cuáles conservar
+router.get('/impresoras/sobre-limite', authMiddleware, async (req, res) => {
+  try {
+    const usuario = await duenoPorEmail(req.user.email);
+    if (!usuario) {
+      return res.status(404).json({ ok: false, error: 'Usuario no encontrado' });
+    }
+
+    const estado = await evaluarSobreLimite(usuario._id);
+    const impresoras = await impresorasPorActividad(usuario._id, estado.limite);
+
+    res.json({
+      ok: true,
+      ...estado,
+      count: impresoras.length,
+      data: impresoras
+    });
+  } catch (err) {
+    console.error('❌ GET /api/impresoras/sobre-limite:', err);
+    res.status(500).json({ ok: false, error: 'Error obteniendo impresoras sobre el límite' });
+  }
+});
+
+// 📉 POST /api/impresoras/sobre-limite/seleccion - { conservar: [ids] }; el resto se desactiva
+router.post('/impresoras/sobre-limite/seleccion', authMiddleware, requiereRol(ROLES_GESTION), async (req, res) => {
+  try {
+    const { conservar } = req.body || {};
+    if (!Array.isArray(conservar)) {
+      return res.status(400).json({ ok: false, error: 'conservar debe ser un arreglo de ids' });
+    }
+
+    const usuario = await duenoPorEmail(req.user.email);
+    if (!usuario) {
+      return res.status(404).json({ ok: false, error: 'Usuario no encontrado' });
+    }
+
+    const r = await aplicarSeleccion(usuario._id, conservar);
+    if (!r.ok) {
+      return res.status(400).json({ ok: false, error: r.error, ids: r.ids });
+    }
+
+    res.json({
+      ok: true,
+      desactivadas: r.desactivadas,
+      plan: await resumenPlan(usuario._id)
+    });
+  } catch (err) {
+    console.error('❌ POST /api/impresoras/sobre-limite/seleccion:', err);
+    res.status(500).json({ ok: false, error: 'Error aplicando selección' });
+  }
+});
+
+// 🔌 PATCH /api/impresoras/monitoreo - Activar/desactivar varias { ids: [...], activo }
+router.patch('/impresoras/monitoreo', authMiddleware, requiereRol(ROLES_GESTION), async (req, res) => {
+  try {
+    const { ids, activo } = req.body || {};
+
+    if (typeof activo !== 'boolean') {
+      return res.status(400).json({ ok: false, error: 'activo debe ser booleano' });
+    }
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ ok: false, error: 'ids debe ser un arreglo no vacío' });
+    }
+    if (ids.length > MAX_MONITOREO_LOTE) {
+      return res.status(400).json({ ok: false, error: `Máximo ${MAX_MONITOREO_LOTE} impresoras por request` });
+    }
+
+    const empresas = await empresasDelUsuario(req.user);
+    const mapEmpresas = new Map(empresas.map(e => [String(e._id), e]));
+    const impresoras = await Impresora.find({
+      _id: { $in: ids.filter(id => mongoose.isValidObjectId(id)) },
+      empresaId: { $in: empresas.map(e => e._id) }
+    }).lean();
+    const mapImpresoras = new Map(impresoras.map(i => [String(i._id), i]));
+
+    // En serie: cada activación consume cupo que ve la siguiente
+    const resultados = [];
+    for (const id of ids) {
+      const impresora = mapImpresoras.get(String(id));
+      if (!impresora) {
+        resultados.push({ id, ok: false, error: 'Impresora no encontrada' });
+        continue;
+      }
+      const userId = mapEmpresas.get(String(impresora.empresaId))?.userId;
+      const r = await cambiarMonitoreo(impresora, activo, userId);
+      resultados.push({
+        id,
+        ok: r.ok,
+        monitoreoActivo: r.ok ? r.monitoreoActivo : !!impresora.monitoreoActivo,
+        error: r.ok ? null : r.error,
+        codigo: r.codigo || null
+      });
+    }
+
+    res.json({
+      ok: true,
+      actualizadas: resultados.filter(r => r.ok).length,
+      conError: resultados.filter(r => !r.ok).length,
+      resultados,
+      plan: await resumenPlan(empresas[0]?.userId)
+    });
+  } catch (err) {
+    console.error('❌ PATCH /api/impresoras/monitoreo:', err);
+    res.status(500).json({ ok: false, error: 'Error cambiando monitoreo' });
+  }
+});
+
+// 🔌 PATCH /api/impresoras/:id/monitoreo - Activar/desactivar una impresora { activo }
+router.patch('/impresoras/:id/monitoreo', authMiddleware, requiereRol(ROLES_GESTION), cargarImpresora('id'), async (req, res) => {
+  try {
+    const { activo } = req.body || {};
+
+    if (typeof activo !== 'boolean') {
+      return res.status(400).json({ ok: false, error: 'activo debe ser booleano' });
+    }
+
+    const impresora = req.impresora;
+    const cliente = req.empresa;
+
+    const r = await cambiarMonitoreo(impresora, activo, cliente.userId);
+    const plan = await resumenPlan(cliente.userId);
+    if (!r.ok) {
+      return res.status(r.status).json({ ok: false, error: r.error, codigo: r.codigo, plan });
+    }
+
+    res.json({
+      ok: true,
+      printerId: impresora._id,
+      monitoreoActivo: r.monitoreoActivo,
+      plan
+    });
+  } catch (err) {
+    console.error('❌ PATCH /api/impresoras/:id/monitoreo:', err);
+    res.status(500).json({ ok: false, error: 'Error cambiando monitoreo' });
+  }
+});
+
 // ============================================================
 // ENDPOINTS MOVILES DE NAVEGACION (carpetas / clientes)
 // ============================================================
@@ -222,9 +516,10 @@ router.get('/mobile/root', authMiddleware, async (req, res) => {
 
     const clientesSinCarpeta = empresas.filter(e => !empresaIdsConCarpeta.has(String(e._id)));
 
-    const [countsCarpetas, countsClientes] = await Promise.all([
+    const [countsCarpetas, countsClientes, agentes] = await Promise.all([
       contarContenidoCarpetas(carpetas.map(c => c._id), req.user),
-      contarImpresorasPorCliente(clientesSinCarpeta.map(c => c._id), req.user.ciudad)
+      contarImpresorasPorCliente(clientesSinCarpeta.map(c => c._id), req.user.ciudad),
+      agentesPorEmpresa(clientesSinCarpeta.map(c => c._id))
     ]);
 
     res.json({
@@ -240,7 +535,8 @@ router.get('/mobile/root', authMiddleware, async (req, res) => {
         _id: c._id,
         nombre: c.nombre,
         impresoras: countsClientes[String(c._id)]?.total || 0,
-        impresorasOnline: countsClientes[String(c._id)]?.online || 0
+        impresorasOnline: countsClientes[String(c._id)]?.online || 0,
+        agente: resumenAgentes(agentes.get(String(c._id))).estado
       }))
     });
   } catch (err) {
@@ -280,9 +576,10 @@ router.get('/mobile/carpeta/:carpetaId', authMiddleware, async (req, res) => {
       _id: { $in: clienteIds }
     }).sort({ nombre: 1 }).lean();
 
-    const [countsSubcarpetas, countsClientes] = await Promise.all([
+    const [countsSubcarpetas, countsClientes, agentes] = await Promise.all([
       contarContenidoCarpetas(subcarpetas.map(c => c._id), req.user),
-      contarImpresorasPorCliente(clienteIds, req.user.ciudad)
+      contarImpresorasPorCliente(clienteIds, req.user.ciudad),
+      agentesPorEmpresa(clienteIds)
     ]);
 
     res.json({
@@ -299,7 +596,8 @@ router.get('/mobile/carpeta/:carpetaId', authMiddleware, async (req, res) => {
         _id: c._id,
         nombre: c.nombre,
         impresoras: countsClientes[String(c._id)]?.total || 0,
-        impresorasOnline: countsClientes[String(c._id)]?.online || 0
+        impresorasOnline: countsClientes[String(c._id)]?.online || 0,
+        agente: resumenAgentes(agentes.get(String(c._id))).estado
       }))
     });
   } catch (err) {
@@ -331,6 +629,7 @@ router.get('/mobile/cliente/:clienteId/impresoras', authMiddleware, async (req,
     const ids = impresoras.map(i => i._id);
     const latest = await ImpresoraLatest.find({ printerId: { $in: ids } }).lean();
     const mapLatest = new Map(latest.map(l => [String(l.printerId), l]));
+    const agentes = (await agentesPorEmpresa([cliente._id])).get(String(cliente._id)) || [];
 
     const now = Date.now();
     const data = impresoras.map(i => {
@@ -344,9 +643,11 @@ router.get('/mobile/cliente/:clienteId/impresoras', authMiddleware, async (req,
         serial: i.serial,
         ciudad: i.ciudad,
         online: derivedOnline,
+        estadoConexion: computeEstadoConexion(l, agentes, now),
         lastSeenAt: l?.lastSeenAt || null,
         lastPageCount: l?.lastPageCount || null,
-        lowToner: l?.lowToner || false
+        lowToner: l?.lowToner || false,
+        estado: l?.estado || null
       };
     });
 
@@ -355,7 +656,8 @@ router.get('/mobile/cliente/:clienteId/impresoras', authMiddleware, async (req,
       cliente: {
         _id: cliente._id,
         nombre: cliente.nombre,
-        ubicacion: cliente.ubicacion || null
+        ubicacion: cliente.ubicacion || null,
+        agentes: resumenAgentes(agentes, now)
       },
       impresoras: data
     });
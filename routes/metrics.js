@@ -4,150 +4,345 @@ const Empresa = require('../models/Empresa');
 const Impresora = require('../models/Impresora');
 const ImpresoraLatest = require('../models/ImpresoraLatest');
 const Usuario = require('../models/Usuario');
+const ReinicioContador = require('../models/ReinicioContador');
 const { puedeActivarUnaMas } = require('../helpers/limitesPlan');
-const { procesarPosibleAlerta } = require('../helpers/alertaService');
+const {
+  procesarPosibleAlerta,
+  procesarEstadoImpresora,
+  procesarBandejas,
+  notificarImpresoraEnLinea
+} = require('../helpers/alertaService');
+const { normalizarEstado, fusionarErrores } = require('../helpers/estadoImpresora');
+const { clasificarSuministros } = require('../helpers/clasificadorSuministros');
+const { normalizarNivel, ESTADO_OK } = require('../helpers/nivelSuministro');
+const { normalizarBandejas } = require('../helpers/bandejas');
+const { registrarMuestra, normalizarTimestamp, esMuestraFueraDeOrden } = require('../helpers/historial');
+const { resolverReinicio, CONTADORES, CONTADORES_FUNCION } = require('../helpers/cortes');
+const { resolverImpresora } = require('../helpers/fusionImpresoras');
+const { ESTADO_PENDIENTE, estaIgnorada } = require('../helpers/aprobacionImpresoras');
+const { registrarActividadAgente, AGENTE_DEFAULT } = require('../helpers/agentes');
+const { obtenerConfig, formatoAgente, configSiDesactualizada } = require('../helpers/agenteConfig');
 
-// 📊 POST /api/metrics/impresoras - Ingesta de métricas desde el agente SNMP
-router.post('/metrics/impresoras', async (req, res) => {
-  try {
-    const auth = req.headers['authorization'] || '';
-    const token = auth.startsWith('Bearer ') ? auth.slice(7) : null;
-    if (!token) return res.status(401).json({ ok: false, error: 'Falta ApiKey' });
-
-    const empresa = await Empresa.findOne({ apiKey: token }).lean();
-    if (!empresa) return res.status(403).json({ ok: false, error: 'ApiKey inválida' });
-
-    // 🆕 BLOQUEO POR TRIAL EXPIRADO
-    if (empresa.userId) {
-      const usuario = await Usuario.findById(empresa.userId).select('plan').lean();
-      if (usuario && usuario.plan === 'trial_expirado') {
-        return res.status(403).json({
+// Máximo de impresoras por request en la ingesta por lote
+const MAX_LOTE = 500;
+
+/**
+ * Helper interno: valida la ApiKey del agente y el estado del plan del dueño.
+ * Retorna { empresa } o { status, body } con la respuesta de error.
+ */
+async function autenticarAgente(req) {
+  const auth = req.headers['authorization'] || '';
+  const token = auth.startsWith('Bearer ') ? auth.slice(7) : null;
+  if (!token) return { status: 401, body: { ok: false, error: 'Falta ApiKey' } };
+
+  const empresa = await Empresa.findOne({ apiKey: token }).lean();
+  if (!empresa) return { status: 403, body: { ok: false, error: 'ApiKey inválida' } };
+
+  // 🆕 BLOQUEO POR TRIAL EXPIRADO
+  if (empresa.userId) {
+    const usuario = await Usuario.findById(empresa.userId).select('plan suspendida').lean();
+    if (usuario?.suspendida) {
+      return {
+        status: 403,
+        body: { ok: false, error: 'Cuenta suspendida', codigo: 'CUENTA_SUSPENDIDA' }
+      };
+    }
+    if (usuario && usuario.plan === 'trial_expirado') {
+      return {
+        status: 403,
+        body: {
           ok: false,
           error: 'Trial expirado. El usuario debe actualizar su plan.',
           codigo: 'TRIAL_EXPIRADO'
-        });
-      }
+        }
+      };
     }
+  }
 
-    const {
-      host,
-      pageCount,
-      pageCountMono = null,
-      pageCountColor = null,
-      supplies = [],
-      sysName = null,
-      sysDescr = null,
-      printerName = null,
-      serial = null,
-      model = null,
-      ciudad = null,
-      ts = new Date().toISOString(),
-      agentVersion = '1.0.0'
-    } = req.body || {};
-
-    if (!host) {
-      return res.status(400).json({ ok: false, error: 'host requerido' });
-    }
+  return { empresa };
+}
 
-    const claveOr = serial
-      ? { $or: [{ serial }, { host }] }
-      : { host };
+/**
+ * Helper interno: procesa la lectura de UNA impresora (upsert, límites, latest, historial, alertas).
+ * Retorna { ok: false, error } si el payload es inválido, o el resultado de la ingesta.
+ */
+async function procesarLectura(empresa, payload, agentId = AGENTE_DEFAULT) {
+  const {
+    host,
+    pageCount,
+    pageCountMono = null,
+    pageCountColor = null,
+    supplies = [],
+    sysName = null,
+    sysDescr = null,
+    printerName = null,
+    serial = null,
+    model = null,
+    ciudad = null,
+    printerStatus = null,
+    errorState = null,
+    prtAlerts = null,
+    trays = null,
+    ts = new Date().toISOString()
+  } = payload || {};
 
-    // 🆕 Verificar si la impresora YA existe antes de upsert
-    const impresoraExistente = await Impresora.findOne({
-      empresaId: empresa._id,
-      ...claveOr
-    }).lean();
+  if (!host) {
+    return { ok: false, error: 'host requerido' };
+  }
 
-    // 🆕 LÓGICA DE LÍMITES: solo aplica para impresoras NUEVAS
-    let monitoreoActivoParaNueva = true;
-    let limiteAlcanzado = false;
+  // 🆕 Identidad: serial (y alias) manda sobre host; fusiona duplicados si el serial lo prueba
+  const { impresora: impresoraExistente, hostEnConflicto } = await resolverImpresora(empresa._id, host, serial);
 
-    if (!impresoraExistente && empresa.userId) {
-      const check = await puedeActivarUnaMas(empresa.userId);
-      monitoreoActivoParaNueva = check.puede;
-      limiteAlcanzado = !check.puede;
-    }
+  // 🆕 Impresora que el usuario ignoró: no se vuelve a crear
+  if (!impresoraExistente && estaIgnorada(empresa, host, serial)) {
+    return { ok: true, printerId: null, monitoreoActivo: false, ignorada: true };
+  }
 
-    const setBase = {
-      empresaId: empresa._id,
-      ciudad: ciudad || null,
-      host,
-      serial,
-      sysName,
-      sysDescr,
-      printerName,
-      model
+  // 🆕 Con aprobación activada, las nuevas esperan al usuario (no consumen licencia)
+  const requiereAprobacion = !impresoraExistente && !!empresa.aprobacionImpresoras;
+
+  // 🆕 LÓGICA DE LÍMITES: solo aplica para impresoras NUEVAS
+  let monitoreoActivoParaNueva = true;
+
+  if (requiereAprobacion) {
+    monitoreoActivoParaNueva = false;
+  } else if (!impresoraExistente && empresa.userId) {
+    const check = await puedeActivarUnaMas(empresa.userId);
+    monitoreoActivoParaNueva = check.puede;
+  }
+
+  const setBase = {
+    empresaId: empresa._id,
+    ciudad: ciudad || null,
+    host,
+    serial,
+    sysName,
+    sysDescr,
+    printerName,
+    model
+  };
+  if (hostEnConflicto) {
+    // Otra impresora (con su propio serial) aún tiene esta IP registrada; no la pisamos
+    delete setBase.host;
+    console.warn(`⚠️ Host ${host} en conflicto para serial ${serial}; se conserva ${impresoraExistente.host}`);
+  }
+  if (impresoraExistente && !serial) {
+    // Una lectura sin serial no borra el que ya conocemos
+    delete setBase.serial;
+  }
+
+  const setOnInsert = { createdAt: new Date() };
+  // Solo seteamos monitoreoActivo en INSERT (no sobreescribimos el de impresoras existentes)
+  if (!impresoraExistente) {
+    setOnInsert.monitoreoActivo = monitoreoActivoParaNueva;
+    if (requiereAprobacion) setOnInsert.estadoAprobacion = ESTADO_PENDIENTE;
+  }
+
+  const impresora = await Impresora.findOneAndUpdate(
+    impresoraExistente ? { _id: impresoraExistente._id } : { empresaId: empresa._id, host },
+    {
+      $set: setBase,
+      $setOnInsert: setOnInsert
+    },
+    { new: true, upsert: true }
+  );
+
+  if (impresora.estadoAprobacion === ESTADO_PENDIENTE) {
+    return {
+      ok: true,
+      printerId: impresora._id,
+      monitoreoActivo: false,
+      pendienteAprobacion: true,
+      mensaje: 'Impresora descubierta; pendiente de aprobación en el panel.'
     };
+  }
 
-    const setOnInsert = { createdAt: new Date() };
-    // Solo seteamos monitoreoActivo en INSERT (no sobreescribimos el de impresoras existentes)
-    if (!impresoraExistente) {
-      setOnInsert.monitoreoActivo = monitoreoActivoParaNueva;
-    }
+  // 🆕 Si la impresora tiene monitoreoActivo:false, NO procesamos métricas (ahorra tráfico Railway)
+  if (!impresora.monitoreoActivo) {
+    return {
+      ok: true,
+      printerId: impresora._id,
+      monitoreoActivo: false,
+      limiteAlcanzado: true,
+      mensaje: 'Impresora registrada sin monitoreo activo. Actualiza tu plan para activarla.'
+    };
+  }
 
-    const impresora = await Impresora.findOneAndUpdate(
-      { empresaId: empresa._id, ...claveOr },
-      {
-        $set: setBase,
-        $setOnInsert: setOnInsert
-      },
-      { new: true, upsert: true }
-    );
-
-    // 🆕 Si la impresora tiene monitoreoActivo:false, NO procesamos métricas (ahorra tráfico Railway)
-    if (!impresora.monitoreoActivo) {
-      return res.json({
-        ok: true,
-        printerId: impresora._id,
-        empresaId: empresa._id,
-        agentVersion,
-        monitoreoActivo: false,
-        limiteAlcanzado: true,
-        mensaje: 'Impresora registrada sin monitoreo activo. Actualiza tu plan para activarla.'
-      });
+  // 🆕 Muestras fuera de orden o duplicadas (reintentos del agente) no pisan el estado actual
+  const lastSeenAt = normalizarTimestamp(ts);
+  const previo = await ImpresoraLatest.findOne({ printerId: impresora._id })
+    .select([
+      'lastSeenAt lastPageCount lastPageMono lastPageColor reinicioPendiente erroresActivos lastTrays offlineDesde',
+      ...CONTADORES_FUNCION.map(c => c.latest)
+    ].join(' '))
+    .lean();
+  if (esMuestraFueraDeOrden(lastSeenAt, previo?.lastSeenAt)) {
+    return {
+      ok: true,
+      printerId: impresora._id,
+      monitoreoActivo: true,
+      descartado: 'fuera_de_orden'
+    };
+  }
+
+  const snmpOk =
+    (typeof pageCount === 'number' && !Number.isNaN(pageCount)) ||
+    (Array.isArray(supplies) && supplies.length > 0) ||
+    !!sysName || !!sysDescr || !!serial || !!model;
+
+  // 🆕 tipo/color y nivel normalizado por supply; lowToner solo mira tóner y tinta con nivel medible
+  const suppliesClasificados = clasificarSuministros(supplies).map(({ class: clase, type, ...s }) => ({
+    ...s,
+    ...normalizarNivel(s),
+    clase: clase != null && Number.isFinite(Number(clase)) ? Number(clase) : null
+  }));
+
+  const lowToner = suppliesClasificados.some(s =>
+    ['toner', 'ink'].includes(s.tipo) && s.estadoNivel === ESTADO_OK && s.porcentaje <= 20
+  );
+
+  const lectura = {
+    ts: lastSeenAt,
+    pageCount: (typeof pageCount === 'number' && !Number.isNaN(pageCount)) ? Number(pageCount) : null,
+    pageMono: (typeof pageCountMono === 'number' && !Number.isNaN(pageCountMono)) ? Number(pageCountMono) : null,
+    pageColor: (typeof pageCountColor === 'number' && !Number.isNaN(pageCountColor)) ? Number(pageCountColor) : null,
+    supplies: suppliesClasificados,
+    online: snmpOk
+  };
+
+  // 🆕 Contadores por función: solo los que el agente manda (undefined = no los conoce)
+  for (const c of CONTADORES_FUNCION) {
+    if (payload[c.payload] === undefined) continue;
+    const valor = payload[c.payload];
+    lectura[c.payload] = (typeof valor === 'number' && Number.isFinite(valor) && valor >= 0) ? valor : null;
+  }
+
+  // 🆕 Contador que retrocede (cambio de formatter / rollover): se registra para coser el corte.
+  // La primera lectura baja queda pendiente; solo la segunda seguida lo confirma.
+  const { reinicio, pendiente } = resolverReinicio(previo, lectura);
+  if (reinicio) {
+    // detectadoEn = lectura que confirma: un corte hecho mientras estaba pendiente no lo pierde
+    await ReinicioContador.create({
+      printerId: impresora._id,
+      empresaId: impresora.empresaId,
+      detectadoEn: lastSeenAt,
+      ...reinicio
+    });
+    console.log(`🔁 Reinicio de contador en ${impresora.host}:`, reinicio);
+  }
+
+  const setLatest = {
+    lastPageCount: lectura.pageCount,
+    lastPageMono: lectura.pageMono,
+    lastPageColor: lectura.pageColor,
+    reinicioPendiente: pendiente,
+    lastSupplies: lectura.supplies,
+    lastSeenAt,
+    agentId: String(agentId),
+    lowToner,
+    online: snmpOk,
+    offlineDesde: null,
+  };
+
+  // 🆕 Estado/errores SNMP: solo se tocan si el agente los manda (agentes viejos no los conocen)
+  const estado = normalizarEstado({ printerStatus, errorState, prtAlerts });
+  const erroresPrevios = previo?.erroresActivos || [];
+  if (estado) {
+    setLatest.estado = estado.estado;
+    setLatest.erroresActivos = fusionarErrores(estado.errores, erroresPrevios, lastSeenAt);
+  }
+
+  // 🆕 Bandejas de papel: igual que el estado, solo si el agente las manda
+  const bandejas = normalizarBandejas(trays);
+  const bandejasPrevias = previo?.lastTrays || [];
+  if (bandejas) {
+    setLatest.lastTrays = bandejas;
+  }
+
+  // 🆕 Contadores por función (copias, escaneos, fax...): solo los que el agente manda
+  for (const c of CONTADORES_FUNCION) {
+    if (lectura[c.payload] !== undefined) setLatest[c.latest] = lectura[c.payload];
+  }
+
+  // Mientras la caída no se confirma, los contadores que bajaron conservan el valor anterior
+  if (pendiente) {
+    for (const c of CONTADORES) {
+      if (pendiente[`antes${c.campo}`] != null) setLatest[c.latest] = previo[c.latest];
     }
+  }
+
+  await ImpresoraLatest.findOneAndUpdate(
+    { printerId: impresora._id },
+    { $set: setLatest },
+    { new: true, upsert: true }
+  );
 
-    const lastSeenAt = new Date(ts);
-    const snmpOk =
-      (typeof pageCount === 'number' && !Number.isNaN(pageCount)) ||
-      (Array.isArray(supplies) && supplies.length > 0) ||
-      !!sysName || !!sysDescr || !!serial || !!model;
-
-    const lowToner = Array.isArray(supplies) && supplies.some(s => {
-      const lvl = Number(s?.level);
-      const max = Number(s?.max);
-      if (isFinite(lvl) && isFinite(max) && max > 0) return (lvl / max) * 100 <= 20;
-      return isFinite(lvl) && lvl <= 20;
+  // 🆕 Historial de muestras (serie de tiempo); un fallo aquí no tumba la ingesta
+  registrarMuestra(impresora, lectura).catch(err => {
+    console.error('❌ Historial (background):', err);
+  });
+
+  // 🆕 Procesar alertas (no bloquea la respuesta del agente si falla)
+  procesarPosibleAlerta(impresora, suppliesClasificados).catch(err => {
+    console.error('❌ AlertaService (background):', err);
+  });
+
+  // 🆕 Cierra la caída abierta por el cron de offline y avisa "de nuevo en línea"
+  if (previo?.offlineDesde) {
+    notificarImpresoraEnLinea(impresora, previo.offlineDesde, lastSeenAt);
+  }
+
+  if (bandejas) {
+    procesarBandejas(impresora, bandejas, bandejasPrevias).catch(err => {
+      console.error('❌ AlertaService bandejas (background):', err);
     });
+  }
 
-    await ImpresoraLatest.findOneAndUpdate(
-      { printerId: impresora._id },
-      {
-        $set: {
-          lastPageCount: (typeof pageCount === 'number' && !Number.isNaN(pageCount)) ? Number(pageCount) : null,
-          lastPageMono: (typeof pageCountMono === 'number' && !Number.isNaN(pageCountMono)) ? Number(pageCountMono) : null,
-          lastPageColor: (typeof pageCountColor === 'number' && !Number.isNaN(pageCountColor)) ? Number(pageCountColor) : null,
-          lastSupplies: Array.isArray(supplies) ? supplies : [],
-          lastSeenAt,
-          lowToner,
-          online: snmpOk,
-        }
-      },
-      { new: true, upsert: true }
-    );
+  if (estado) {
+    // Con datos por bandeja, el sin_papel genérico no dispara (respeta bandejasSinPapel)
+    const porBandeja = Array.isArray(bandejas) && bandejas.length > 0;
+    procesarEstadoImpresora(impresora, estado.errores, erroresPrevios, { porBandeja }).catch(err => {
+      console.error('❌ AlertaService estado (background):', err);
+    });
+  }
 
-    // 🆕 Procesar alertas (no bloquea la respuesta del agente si falla)
-    procesarPosibleAlerta(impresora, supplies).catch(err => {
-      console.error('❌ AlertaService (background):', err);
+  return {
+    ok: true,
+    printerId: impresora._id,
+    monitoreoActivo: true
+  };
+}
+
+// 📊 POST /api/metrics/impresoras - Ingesta de métricas desde el agente SNMP
+router.post('/metrics/impresoras', async (req, res) => {
+  try {
+    const acceso = await autenticarAgente(req);
+    if (!acceso.empresa) return res.status(acceso.status).json(acceso.body);
+    const { empresa } = acceso;
+
+    const { agentVersion = '1.0.0', agentId = AGENTE_DEFAULT, configVersion } = req.body || {};
+
+    // 🆕 La ingesta también cuenta como señal de vida del agente
+    registrarActividadAgente(empresa, req.body, req, 'ingesta').catch(err => {
+      console.error('❌ Agente (background):', err);
     });
 
+    const resultado = await procesarLectura(empresa, req.body, agentId);
+    if (!resultado.ok) {
+      return res.status(400).json(resultado);
+    }
+
+    // 🆕 Config server-side: solo viaja si la del agente está atrasada
+    const config = await configSiDesactualizada(empresa._id, configVersion);
+
+    const { ok, printerId, ...resto } = resultado;
     res.json({
-      ok: true,
-      printerId: impresora._id,
+      ok,
+      printerId,
       empresaId: empresa._id,
       agentVersion,
-      monitoreoActivo: true
+      ...resto,
+      ...(config ? { config } : {})
     });
   } catch (err) {
     console.error('❌ POST /api/metrics/impresoras:', err);
@@ -155,4 +350,112 @@ router.post('/metrics/impresoras', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// 📦 POST /api/metrics/impresoras/lote - Ingesta de muchas impresoras en un solo request
+// Body: { agentVersion, impresoras: [ <mismo payload que /metrics/impresoras> ] }
+router.post('/metrics/impresoras/lote', async (req, res) => {
+  try {
+    const acceso = await autenticarAgente(req);
+    if (!acceso.empresa) return res.status(acceso.status).json(acceso.body);
+    const { empresa } = acceso;
+
+    const { agentVersion = '1.0.0', agentId = AGENTE_DEFAULT, configVersion, impresoras } = req.body || {};
+
+    if (!Array.isArray(impresoras) || impresoras.length === 0) {
+      return res.status(400).json({ ok: false, error: 'impresoras debe ser un arreglo no vacío' });
+    }
+    if (impresoras.length > MAX_LOTE) {
+      return res.status(400).json({ ok: false, error: `Máximo ${MAX_LOTE} impresoras por lote` });
+    }
+
+    registrarActividadAgente(empresa, req.body, req, 'ingesta').catch(err => {
+      console.error('❌ Agente (background):', err);
+    });
+
+    // En serie: el chequeo de límites de cada impresora nueva depende de las anteriores
+    const resultados = [];
+    for (const payload of impresoras) {
+      const host = payload?.host || null;
+      try {
+        const r = await procesarLectura(empresa, payload, agentId);
+        resultados.push({
+          host,
+          printerId: r.printerId || null,
+          monitoreoActivo: r.monitoreoActivo ?? null,
+          limiteAlcanzado: r.limiteAlcanzado || false,
+          descartado: r.descartado || null,
+          pendienteAprobacion: r.pendienteAprobacion || false,
+          ignorada: r.ignorada || false,
+          errors: r.ok ? [] : [r.error]
+        });
+      } catch (err) {
+        console.error(`❌ Lote ${host}:`, err);
+        resultados.push({
+          host,
+          printerId: null,
+          monitoreoActivo: null,
+          limiteAlcanzado: false,
+          descartado: null,
+          pendienteAprobacion: false,
+          ignorada: false,
+          errors: ['Error procesando impresora']
+        });
+      }
+    }
+
+    const config = await configSiDesactualizada(empresa._id, configVersion);
+
+    res.json({
+      ok: true,
+      empresaId: empresa._id,
+      agentVersion,
+      ...(config ? { config } : {}),
+      procesadas: resultados.filter(r => r.errors.length === 0).length,
+      conError: resultados.filter(r => r.errors.length > 0).length,
+      resultados
+    });
+  } catch (err) {
+    console.error('❌ POST /api/metrics/impresoras/lote:', err);
+    res.status(500).json({ ok: false, error: 'Error ingesta por lote' });
+  }
+});
+
+// 💓 POST /api/metrics/agente/heartbeat - Señal de vida del agente (aunque no vea impresoras)
+// Body: { agentId, agentVersion, hostname, os, ip }
+router.post('/metrics/agente/heartbeat', async (req, res) => {
+  try {
+    const acceso = await autenticarAgente(req);
+    if (!acceso.empresa) return res.status(acceso.status).json(acceso.body);
+    const { empresa } = acceso;
+
+    const agente = await registrarActividadAgente(empresa, req.body, req, 'heartbeat');
+    const config = await configSiDesactualizada(empresa._id, req.body?.configVersion);
+
+    res.json({
+      ok: true,
+      empresaId: empresa._id,
+      agenteId: agente._id,
+      agentId: agente.agentId,
+      serverTime: new Date(),
+      ...(config ? { config } : {})
+    });
+  } catch (err) {
+    console.error('❌ POST /api/metrics/agente/heartbeat:', err);
+    res.status(500).json({ ok: false, error: 'Error registrando heartbeat' });
+  }
+});
+
+// ⚙️ GET /api/metrics/agente/config - Config completa para el agente (arranque o forzar recarga)
+router.get('/metrics/agente/config', async (req, res) => {
+  try {
+    const acceso = await autenticarAgente(req);
+    if (!acceso.empresa) return res.status(acceso.status).json(acceso.body);
+
+    const config = await obtenerConfig(acceso.empresa._id);
+    res.json({ ok: true, config: formatoAgente(config) });
+  } catch (err) {
+    console.error('❌ GET /api/metrics/agente/config:', err);
+    res.status(500).json({ ok: false, error: 'Error obteniendo config' });
+  }
+});
+
+module.exports = router;
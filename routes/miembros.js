@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcrypt');
+
+const Usuario = require('../models/Usuario');
+const DeviceToken = require('../models/DeviceToken');
+const authMiddleware = require('../middleware/authMiddleware');
+const requiereRol = require('../middleware/requiereRol');
+const { obtenerBeneficios } = require('../helpers/beneficiosPlan');
+const {
+  ROL_OWNER,
+  ROLES,
+  ROLES_GESTION,
+  rolDe,
+  duenoPorEmail
+} = require('../helpers/roles');
+
+// Roles que el owner puede asignar (la cuenta tiene un solo owner)
+const ROLES_ASIGNABLES = ROLES.filter(r => r !== ROL_OWNER);
+const soloOwner = requiereRol([ROL_OWNER]);
+
+/**
+ * Helper interno: miembro de la cuenta del usuario logueado (o null).
+ */
+function miembroDeLaCuenta(req, email) {
+  return Usuario.findOne({
+    email,
+    empresaId: req.user.empresaId,
+    ciudad: req.user.ciudad
+  }).lean();
+}
+
+function formatearMiembro(u) {
+  return {
+    email: u.email,
+    rol: rolDe(u),
+    invitadoPor: u.invitadoPor || null,
+    fechaRegistro: u.fechaRegistro,
+    suspendida: !!u.suspendida
+  };
+}
+
+// 👥 GET /api/miembros - Usuarios de la cuenta y cupo del plan
+router.get('/miembros', authMiddleware, requiereRol(ROLES_GESTION), async (req, res) => {
+  try {
+    const dueno = await duenoPorEmail(req.user.email);
+    const miembros = await Usuario.find({ empresaId: req.user.empresaId, ciudad: req.user.ciudad })
+      .select('email rol invitadoPor fechaRegistro suspendida')
+      .sort({ fechaRegistro: 1 })
+      .lean();
+
+    res.json({
+      ok: true,
+      maxUsuarios: obtenerBeneficios(dueno).maxUsuarios,
+      count: miembros.length,
+      data: miembros.map(formatearMiembro)
+    });
+  } catch (err) {
+    console.error('❌ GET /api/miembros:', err);
+    res.status(500).json({ ok: false, error: 'Error listando usuarios de la cuenta' });
+  }
+});
+
+// ➕ POST /api/miembros - Agregar usuario a la cuenta { email, password, rol }
+router.post('/miembros', authMiddleware, soloOwner, async (req, res) => {
+  try {
+    const { email, password, rol } = req.body || {};
+
+    if (!email || !password) {
+      return res.status(400).json({ ok: false, error: 'email y password son obligatorios' });
+    }
+    if (!ROLES_ASIGNABLES.includes(rol)) {
+      return res.status(400).json({ ok: false, error: `rol debe ser uno de: ${ROLES_ASIGNABLES.join(', ')}` });
+    }
+    if (password.length < 6) {
+      return res.status(400).json({ ok: false, error: 'La contraseña debe tener al menos 6 caracteres' });
+    }
+
+    const existe = await Usuario.exists({ email });
+    if (existe) {
+      return res.status(400).json({ ok: false, error: 'Este email ya está registrado' });
+    }
+
+    const dueno = await duenoPorEmail(req.user.email);
+    const { maxUsuarios } = obtenerBeneficios(dueno);
+    const usados = await Usuario.countDocuments({ empresaId: req.user.empresaId, ciudad: req.user.ciudad });
+    if (usados >= maxUsuarios) {
+      return res.status(403).json({
+        ok: false,
+        error: `Tu plan permite ${maxUsuarios} usuarios por cuenta`,
+        codigo: 'LIMITE_USUARIOS',
+        maxUsuarios,
+        necesitaActualizar: true
+      });
+    }
+
+    // Sin licencia propia: login, plan y beneficios se resuelven con el dueño
+    const miembro = await Usuario.create({
+      email,
+      password: await bcrypt.hash(password, 10),
+      empresaId: dueno.empresaId,
+      ciudad: dueno.ciudad,
+      pais: dueno.pais || 'MX',
+      rol,
+      invitadoPor: req.user.email,
+      activo: true,
+      licenciaTrial: false
+    });
+
+    console.log(`👥 ${req.user.email} agregó a ${email} (${rol})`);
+    res.status(201).json({ ok: true, data: formatearMiembro(miembro) });
+  } catch (err) {
+    console.error('❌ POST /api/miembros:', err);
+    res.status(500).json({ ok: false, error: 'Error agregando usuario' });
+  }
+});
+
+// ✏️ PATCH /api/miembros/:email - Cambiar rol { rol }
+router.patch('/miembros/:email', authMiddleware, soloOwner, async (req, res) => {
+  try {
+    const { rol } = req.body || {};
+    if (!ROLES_ASIGNABLES.includes(rol)) {
+      return res.status(400).json({ ok: false, error: `rol debe ser uno de: ${ROLES_ASIGNABLES.join(', ')}` });
+    }
+
+    const miembro = await miembroDeLaCuenta(req, req.params.email);
+    if (!miembro) {
+      return res.status(404).json({ ok: false, error: 'Usuario no encontrado en la cuenta' });
+    }
+    if (rolDe(miembro) === ROL_OWNER) {
+      return res.status(400).json({ ok: false, error: 'El rol del dueño no se puede cambiar' });
+    }
+
+    await Usuario.updateOne({ _id: miembro._id }, { $set: { rol } });
+
+    res.json({ ok: true, data: formatearMiembro({ ...miembro, rol }) });
+  } catch (err) {
+    console.error('❌ PATCH /api/miembros/:email:', err);
+    res.status(500).json({ ok: false, error: 'Error cambiando rol' });
+  }
+});
+
+// 🗑️ DELETE /api/miembros/:email - Quitar usuario de la cuenta
+router.delete('/miembros/:email', authMiddleware, soloOwner, async (req, res) => {
+  try {
+    const miembro = await miembroDeLaCuenta(req, req.params.email);
+    if (!miembro) {
+      return res.status(404).json({ ok: false, error: 'Usuario no encontrado en la cuenta' });
+    }
+    if (rolDe(miembro) === ROL_OWNER) {
+      return res.status(400).json({ ok: false, error: 'El dueño no se puede quitar de su cuenta' });
+    }
+
+    // Su JWT deja de servir en el siguiente request (middleware/authMiddleware)
+    await Usuario.deleteOne({ _id: miembro._id });
+    // ...y sus dispositivos dejan de recibir push de la cuenta
+    await DeviceToken.deleteMany({ email: miembro.email });
+
+    console.log(`👥 ${req.user.email} quitó a ${miembro.email}`);
+    res.json({ ok: true, message: `Usuario ${miembro.email} eliminado de la cuenta` });
+  } catch (err) {
+    console.error('❌ DELETE /api/miembros/:email:', err);
+    res.status(500).json({ ok: false, error: 'Error quitando usuario' });
+  }
+});
+
+module.exports = router;
@@ -5,11 +5,27 @@ const Impresora = require('../models/Impresora');
 const ImpresoraLatest = require('../models/ImpresoraLatest');
 const CortesMensuales = require('../models/CortesMensuales');
 const FolioContador = require('../models/FolioContador');
+const ReinicioContador = require('../models/ReinicioContador');
 
-const { calcularPeriodoCorte } = require('../helpers/cortes');
+const { calcularPeriodoCorte, CONTADORES_FUNCION } = require('../helpers/cortes');
 const { generarPDFProfesional } = require('../helpers/pdfGenerator');
+const authMiddleware = require('../middleware/authMiddleware');
+const { cargarImpresora } = require('../middleware/tenant');
+const requiereRol = require('../middleware/requiereRol');
+const requiereBeneficio = require('../middleware/requiereBeneficio');
+const { ROLES_CORTES } = require('../helpers/roles');
 
 // MARK: Helpers de periodo
+function camposContadoresFuncion(calculos) {
+  const campos = {};
+  for (const { campo } of CONTADORES_FUNCION) {
+    for (const prefijo of ['contadorInicio', 'contadorFin', 'totalPaginas']) {
+      campos[`${prefijo}${campo}`] = calculos[`${prefijo}${campo}`];
+    }
+  }
+  return campos;
+}
+
 function partesEnZona(fecha, timezone) {
   const partes = new Intl.DateTimeFormat('en-CA', {
     timeZone: timezone,
@@ -37,7 +53,7 @@ async function generarFolio(empresaId, mes, anio) {
 }
 
 // 📅 POST /api/impresoras/:id/registrar-corte
-router.post('/impresoras/:id/registrar-corte', async (req, res) => {
+router.post('/impresoras/:id/registrar-corte', authMiddleware, requiereRol(ROLES_CORTES), cargarImpresora('id'), async (req, res) => {
   try {
     const printerId = req.params.id;
 
@@ -59,7 +75,16 @@ router.post('/impresoras/:id/registrar-corte', async (req, res) => {
     const ahora = new Date();
     const timezone = impresora.empresaId?.timezone || 'America/Tijuana';
     const empresaObjectId = impresora.empresaId?._id || impresora.empresaId;
-    const calculos = calcularPeriodoCorte(ultimoCorte, latest, timezone);
+
+    // Reinicios de contador desde el corte anterior (para coser los segmentos)
+    const reinicios = ultimoCorte
+      ? await ReinicioContador.find({
+          printerId,
+          detectadoEn: { $gt: new Date(ultimoCorte.fechaFinPeriodo || ultimoCorte.fechaCorte), $lte: ahora }
+        }).sort({ detectadoEn: 1 }).lean()
+      : [];
+
+    const calculos = calcularPeriodoCorte(ultimoCorte, latest, timezone, reinicios);
     const { mes, anio } = partesEnZona(ahora, timezone);
     const folio = await generarFolio(empresaObjectId, mes, anio);
 
@@ -98,6 +123,8 @@ router.post('/impresoras/:id/registrar-corte', async (req, res) => {
       contadorInicioColor: calculos.contadorInicioColor,
       contadorFinColor: calculos.contadorFinColor,
       totalPaginasColor: calculos.totalPaginasColor,
+      ...camposContadoresFuncion(calculos),
+      reiniciosContador: calculos.reiniciosContador,
       suppliesInicio: ultimoCorte?.suppliesFin || [],
       suppliesFin: latest.lastSupplies || [],
       nombreImpresora: impresora.printerName || impresora.sysName || impresora.host,
@@ -143,8 +170,15 @@ router.post('/impresoras/:id/registrar-corte', async (req, res) => {
   }
 });
 
-// 📄 GET /api/impresoras/:id/generar-pdf
-router.get('/impresoras/:id/generar-pdf', async (req, res) => {
+// Helper interno: ?marcaPropia=1 solo con el beneficio pdfMarcaPropia del plan
+const exigeMarcaPropia = requiereBeneficio('pdfMarcaPropia');
+function beneficioMarcaPropia(req, res, next) {
+  if (req.query.marcaPropia !== '1') return next();
+  return exigeMarcaPropia(req, res, next);
+}
+
+// 📄 GET /api/impresoras/:id/generar-pdf?marcaPropia=1
+router.get('/impresoras/:id/generar-pdf', authMiddleware, cargarImpresora('id'), beneficioMarcaPropia, async (req, res) => {
   try {
     const printerId = req.params.id;
 
@@ -166,7 +200,9 @@ router.get('/impresoras/:id/generar-pdf', async (req, res) => {
 
     const datosPDF = { ...corte };
 
-    const pdfBuffer = await generarPDFProfesional(datosPDF, impresora);
+    const pdfBuffer = await generarPDFProfesional(datosPDF, impresora, {
+      marcaPropia: req.query.marcaPropia === '1'
+    });
 
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename="reporte-${impresora.printerName || impresora.host}-${Date.now()}.pdf"`);
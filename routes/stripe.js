@@ -2,13 +2,37 @@ const express = require('express');
 const router = express.Router();
 const Stripe = require('stripe');
 const Usuario = require('../models/Usuario');
+const EventoStripe = require('../models/EventoStripe');
 const { PLANES, planPorPriceId } = require('../helpers/stripePlanes');
+const { evaluarSobreLimite } = require('../helpers/sobreLimite');
+const { registrarPagoFallido, registrarPagoRecibido } = require('../helpers/pagoFallido');
+const { ESTADOS_SUSCRIPCION_ACTIVA, filtroEventoVigente, filtroReclamable, reclamarEvento } = require('../helpers/eventosStripe');
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
 const authMiddleware = require('../middleware/authMiddleware');
+const requiereSuperAdmin = require('../middleware/requiereSuperAdmin');
+const requiereRol = require('../middleware/requiereRol');
+const { ROL_OWNER } = require('../helpers/roles');
 
-router.post('/checkout', authMiddleware, async (req, res) => {
+// 🔒 La facturación es solo del dueño de la cuenta
+const soloOwner = requiereRol([ROL_OWNER]);
+
+// MARK: Periodo de licencia
+/**
+ * Fin del periodo pagado de una suscripción (Date) o null.
+ * Las versiones nuevas del API de Stripe lo mueven de la suscripción a cada item.
+ */
+function finDePeriodo(sub) {
+  const fin = sub?.current_period_end ?? sub?.items?.data?.[0]?.current_period_end;
+  return fin ? new Date(fin * 1000) : null;
+}
+
+function suscripcionDeFactura(factura) {
+  return factura.subscription || factura.parent?.subscription_details?.subscription || null;
+}
+
+router.post('/checkout', authMiddleware, soloOwner, async (req, res) => {
   try {
     const { plan } = req.body;
 
@@ -51,6 +75,337 @@ router.post('/checkout', authMiddleware, async (req, res) => {
   }
 });
 
+// MARK: Autoservicio de suscripción
+/**
+ * Helper interno: usuario del token con su suscripción de Stripe.
+ * Retorna { usuario, sub } o { status, body } con la respuesta de error.
+ */
+async function suscripcionDelUsuario(req) {
+  const usuario = await Usuario.findOne({ email: req.user.email }).lean();
+  if (!usuario) return { status: 404, body: { ok: false, error: 'Usuario no encontrado' } };
+  if (!usuario.stripeSubscriptionId) {
+    return { status: 400, body: { ok: false, error: 'No tienes una suscripción activa', codigo: 'SIN_SUSCRIPCION' } };
+  }
+
+  const sub = await stripe.subscriptions.retrieve(usuario.stripeSubscriptionId);
+  if (['canceled', 'incomplete_expired'].includes(sub.status)) {
+    return { status: 400, body: { ok: false, error: 'La suscripción ya no está activa', codigo: 'SIN_SUSCRIPCION' } };
+  }
+  return { usuario, sub };
+}
+
+function esLineaProrrateo(linea) {
+  return !!(linea.proration ?? linea.parent?.subscription_item_details?.proration);
+}
+
+// 🧾 POST /api/stripe/portal - Sesión del Billing Portal (tarjeta, facturas, cancelación)
+router.post('/portal', authMiddleware, soloOwner, async (req, res) => {
+  try {
+    const usuario = await Usuario.findOne({ email: req.user.email }).lean();
+    if (!usuario) {
+      return res.status(404).json({ ok: false, error: 'Usuario no encontrado' });
+    }
+    if (!usuario.stripeCustomerId) {
+      return res.status(400).json({ ok: false, error: 'Aún no tienes datos de facturación', codigo: 'SIN_CLIENTE_STRIPE' });
+    }
+
+    const session = await stripe.billingPortal.sessions.create({
+      customer: usuario.stripeCustomerId,
+      return_url: `${process.env.FRONTEND_URL}/planes`,
+      locale: 'es'
+    });
+
+    res.json({ ok: true, url: session.url });
+  } catch (error) {
+    console.error('❌ POST /api/stripe/portal:', error);
+    res.status(500).json({ ok: false, error: 'No se pudo abrir el portal de facturación' });
+  }
+});
+
+// 🔎 POST /api/stripe/cambiar-plan/preview - { plan }: cuánto se cobra hoy por el prorrateo
+router.post('/cambiar-plan/preview', authMiddleware, soloOwner, async (req, res) => {
+  try {
+    const { plan } = req.body || {};
+    const config = PLANES[plan];
+    if (!config || !config.priceId) {
+      return res.status(400).json({ ok: false, error: 'Plan no válido' });
+    }
+
+    const r = await suscripcionDelUsuario(req);
+    if (r.status) return res.status(r.status).json(r.body);
+    const { usuario, sub } = r;
+
+    const item = sub.items.data[0];
+    if (item.price.id === config.priceId) {
+      return res.status(400).json({ ok: false, error: 'Ya tienes este plan' });
+    }
+
+    // Se devuelve al front para que el cambio cobre exactamente lo previsualizado
+    const prorationDate = Math.floor(Date.now() / 1000);
+    const factura = await stripe.invoices.createPreview({
+      customer: usuario.stripeCustomerId,
+      subscription: sub.id,
+      subscription_details: {
+        items: [{ id: item.id, price: config.priceId }],
+        proration_behavior: 'always_invoice',
+        proration_date: prorationDate
+      }
+    });
+
+    const lineas = factura.lines?.data || [];
+    const prorrateo = lineas.filter(esLineaProrrateo).reduce((suma, l) => suma + l.amount, 0);
+
+    res.json({
+      ok: true,
+      planActual: planPorPriceId(item.price.id),
+      planNuevo: plan,
+      limiteImpresoras: config.limiteImpresoras,
+      moneda: factura.currency,
+      montoProrrateo: prorrateo,
+      totalHoy: factura.amount_due,
+      prorationDate
+    });
+  } catch (error) {
+    console.error('❌ POST /api/stripe/cambiar-plan/preview:', error);
+    res.status(500).json({ ok: false, error: 'No se pudo calcular el cambio de plan' });
+  }
+});
+
+// 🔀 POST /api/stripe/cambiar-plan - { plan, prorationDate? }: aplica el cambio con prorrateo
+// El Usuario se actualiza con el webhook customer.subscription.updated
+router.post('/cambiar-plan', authMiddleware, soloOwner, async (req, res) => {
+  try {
+    const { plan, prorationDate } = req.body || {};
+    const config = PLANES[plan];
+    if (!config || !config.priceId) {
+      return res.status(400).json({ ok: false, error: 'Plan no válido' });
+    }
+
+    const r = await suscripcionDelUsuario(req);
+    if (r.status) return res.status(r.status).json(r.body);
+    const { sub } = r;
+
+    const item = sub.items.data[0];
+    if (item.price.id === config.priceId) {
+      return res.status(400).json({ ok: false, error: 'Ya tienes este plan' });
+    }
+
+    const params = {
+      items: [{ id: item.id, price: config.priceId }],
+      proration_behavior: 'always_invoice',
+      // Cambiar de plan implica quedarse: se quita una cancelación programada
+      cancel_at_period_end: false
+    };
+    if (Number.isInteger(prorationDate)) params.proration_date = prorationDate;
+
+    const actualizada = await stripe.subscriptions.update(sub.id, params);
+
+    res.json({
+      ok: true,
+      plan,
+      estado: actualizada.status,
+      mensaje: `Cambio a ${config.nombre} en proceso; tu plan se actualiza en unos segundos`
+    });
+  } catch (error) {
+    console.error('❌ POST /api/stripe/cambiar-plan:', error);
+    res.status(500).json({ ok: false, error: 'No se pudo cambiar el plan' });
+  }
+});
+
+// 🛑 POST /api/stripe/cancelar - { revertir? }: cancela al final del periodo (o deshace la cancelación)
+router.post('/cancelar', authMiddleware, soloOwner, async (req, res) => {
+  try {
+    const revertir = req.body?.revertir === true;
+
+    const r = await suscripcionDelUsuario(req);
+    if (r.status) return res.status(r.status).json(r.body);
+
+    const actualizada = await stripe.subscriptions.update(r.sub.id, { cancel_at_period_end: !revertir });
+    const fin = finDePeriodo(actualizada);
+
+    res.json({
+      ok: true,
+      cancelarAlFinalDelPeriodo: actualizada.cancel_at_period_end,
+      finDePeriodo: fin,
+      mensaje: actualizada.cancel_at_period_end
+        ? `Tu suscripción seguirá activa hasta ${fin ? fin.toLocaleDateString('es-MX') : 'el fin del periodo'}`
+        : 'Cancelación revertida'
+    });
+  } catch (error) {
+    console.error('❌ POST /api/stripe/cancelar:', error);
+    res.status(500).json({ ok: false, error: 'No se pudo actualizar la cancelación' });
+  }
+});
+
+// MARK: Procesamiento de eventos
+/**
+ * Aplica un evento de Stripe. Retorna { omitido } si no había nada que aplicar.
+ */
+async function procesarEvento(evento) {
+  const creado = new Date(evento.created * 1000);
+
+  switch (evento.type) {
+    case 'checkout.session.completed': {
+      const session = evento.data.object;
+      const usuarioId = session.metadata?.usuarioId;
+      const plan = session.metadata?.plan;
+      const config = PLANES[plan];
+
+      if (!usuarioId || !config) return { omitido: 'sin_plan' };
+
+      const sub = session.subscription
+        ? await stripe.subscriptions.retrieve(session.subscription)
+        : null;
+
+      const set = {
+        plan,
+        limiteImpresoras: config.limiteImpresoras,
+        activo: true,
+        licenciaTrial: false,
+        stripeSubscriptionId: session.subscription,
+        stripeEventoAplicadoEn: creado
+      };
+      const fin = finDePeriodo(sub);
+      if (fin) set.fechaExpiracionLicencia = fin;
+      if (session.payment_status === 'paid') set.ultimoPago = creado;
+
+      const usuario = await Usuario.findOneAndUpdate(filtroEventoVigente({ _id: usuarioId }, creado), { $set: set });
+      if (!usuario) return { omitido: 'desactualizado' };
+
+      console.log(`Plan activado: ${usuarioId} → ${plan}`);
+      await evaluarSobreLimite(usuarioId);
+      return {};
+    }
+
+    case 'customer.subscription.updated': {
+      const sub = evento.data.object;
+      const priceId = sub.items?.data?.[0]?.price?.id;
+      const plan = planPorPriceId(priceId);
+      const config = PLANES[plan];
+      const activa = ESTADOS_SUSCRIPCION_ACTIVA.includes(sub.status);
+
+      if (!config) return { omitido: 'sin_plan' };
+
+      const set = {
+        plan,
+        limiteImpresoras: config.limiteImpresoras,
+        activo: activa,
+        stripeSubscriptionId: sub.id,
+        stripeEventoAplicadoEn: creado
+      };
+      const fin = finDePeriodo(sub);
+      if (fin) set.fechaExpiracionLicencia = fin;
+      if (activa) set.licenciaTrial = false;
+      set.cancelarAlFinalDelPeriodo = !!sub.cancel_at_period_end;
+
+      const usuario = await Usuario.findOneAndUpdate(
+        filtroEventoVigente({ stripeCustomerId: sub.customer }, creado),
+        { $set: set }
+      );
+      if (!usuario) return { omitido: 'desactualizado' };
+
+      console.log(`Suscripción actualizada: ${sub.customer} → ${plan} (${sub.status})`);
+      // Bajar de plan puede dejar impresoras de más activas
+      await evaluarSobreLimite(usuario._id);
+      return {};
+    }
+
+    // Cada renovación cobrada extiende la licencia al nuevo fin de periodo
+    case 'invoice.paid': {
+      const factura = evento.data.object;
+      const subscriptionId = suscripcionDeFactura(factura);
+      if (!subscriptionId) return { omitido: 'sin_suscripcion' };
+
+      // Se consulta la suscripción al momento: el fin de periodo y el estado siempre son los vigentes.
+      // Un invoice.paid tardío de una suscripción ya cancelada no reactiva la cuenta.
+      const sub = await stripe.subscriptions.retrieve(subscriptionId);
+      if (!ESTADOS_SUSCRIPCION_ACTIVA.includes(sub.status)) return { omitido: 'suscripcion_inactiva' };
+
+      const pagadaEn = factura.status_transitions?.paid_at || evento.created;
+      const ultimoPago = new Date(pagadaEn * 1000);
+
+      const set = {
+        activo: true,
+        licenciaTrial: false,
+        ultimoPago
+      };
+      const fin = finDePeriodo(sub);
+      if (fin) set.fechaExpiracionLicencia = fin;
+
+      let usuario = await Usuario.findOneAndUpdate(
+        filtroEventoVigente({ stripeCustomerId: factura.customer }, creado),
+        { $set: set }
+      );
+      if (!usuario) {
+        // Ya se aplicó un estado de suscripción más nuevo: solo se registra el pago
+        usuario = await Usuario.findOneAndUpdate({ stripeCustomerId: factura.customer }, { $max: { ultimoPago } });
+        if (!usuario) return { omitido: 'sin_usuario' };
+      }
+
+      await registrarPagoRecibido(usuario);
+      console.log(`Pago recibido: ${factura.customer} (licencia hasta ${fin ? fin.toISOString() : 'sin cambio'})`);
+      return {};
+    }
+
+    case 'customer.subscription.deleted': {
+      const sub = evento.data.object;
+      const usuario = await Usuario.findOneAndUpdate(
+        filtroEventoVigente({ stripeCustomerId: sub.customer }, creado),
+        {
+          $set: { activo: false, cancelarAlFinalDelPeriodo: false, stripeEventoAplicadoEn: creado },
+          $unset: { stripeSubscriptionId: '' }
+        }
+      );
+      if (!usuario) return { omitido: 'desactualizado' };
+
+      console.log(`Suscripción cancelada: ${sub.customer}`);
+      return {};
+    }
+
+    case 'invoice.payment_failed': {
+      const factura = evento.data.object;
+      const usuario = await Usuario.findOne({ stripeCustomerId: factura.customer }).lean();
+      if (!usuario) {
+        console.warn(`Pago fallido de cliente desconocido: ${factura.customer}`);
+        return { omitido: 'sin_usuario' };
+      }
+      // Un fallo que llega después de un pago ya registrado no abre otro ciclo de cobranza
+      if (usuario.ultimoPago && new Date(usuario.ultimoPago) > creado) {
+        return { omitido: 'desactualizado' };
+      }
+      await registrarPagoFallido(usuario, factura);
+      return {};
+    }
+
+    default:
+      return { omitido: 'tipo_no_manejado' };
+  }
+}
+
+/**
+ * Procesa un evento ya reclamado y deja el resultado en la bitácora.
+ */
+async function ejecutarEvento(evento) {
+  try {
+    const { omitido } = await procesarEvento(evento);
+    const estado = omitido ? 'omitido' : 'procesado';
+    await EventoStripe.updateOne(
+      { eventId: evento.id },
+      { $set: { estado, motivo: omitido || null, procesadoEn: new Date() }, $inc: { intentos: 1 } }
+    );
+    if (omitido === 'desactualizado') {
+      console.log(`Evento ${evento.id} (${evento.type}) omitido: llegó después de un estado más nuevo`);
+    }
+    return { ok: true, estado, motivo: omitido || null };
+  } catch (error) {
+    await EventoStripe.updateOne(
+      { eventId: evento.id },
+      { $set: { estado: 'fallido', error: error.message }, $inc: { intentos: 1 } }
+    );
+    throw error;
+  }
+}
+
 router.post('/webhook', async (req, res) => {
   let evento;
 
@@ -66,68 +421,12 @@ router.post('/webhook', async (req, res) => {
   }
 
   try {
-    switch (evento.type) {
-      case 'checkout.session.completed': {
-        const session = evento.data.object;
-        const usuarioId = session.metadata?.usuarioId;
-        const plan = session.metadata?.plan;
-        const config = PLANES[plan];
-
-        if (usuarioId && config) {
-          await Usuario.findByIdAndUpdate(usuarioId, {
-            $set: {
-              plan,
-              limiteImpresoras: config.limiteImpresoras,
-              activo: true,
-              stripeSubscriptionId: session.subscription
-            }
-          });
-          console.log(`Plan activado: ${usuarioId} → ${plan}`);
-        }
-        break;
-      }
-
-      case 'customer.subscription.updated': {
-        const sub = evento.data.object;
-        const priceId = sub.items?.data?.[0]?.price?.id;
-        const plan = planPorPriceId(priceId);
-        const config = PLANES[plan];
-        const activa = ['active', 'trialing'].includes(sub.status);
-
-        if (config) {
-          await Usuario.findOneAndUpdate(
-            { stripeCustomerId: sub.customer },
-            {
-              $set: {
-                plan,
-                limiteImpresoras: config.limiteImpresoras,
-                activo: activa,
-                stripeSubscriptionId: sub.id
-              }
-            }
-          );
-          console.log(`Suscripción actualizada: ${sub.customer} → ${plan} (${sub.status})`);
-        }
-        break;
-      }
-
-      case 'customer.subscription.deleted': {
-        const sub = evento.data.object;
-        await Usuario.findOneAndUpdate(
-          { stripeCustomerId: sub.customer },
-          { $set: { activo: false }, $unset: { stripeSubscriptionId: '' } }
-        );
-        console.log(`Suscripción cancelada: ${sub.customer}`);
-        break;
-      }
-
-      case 'invoice.payment_failed': {
-        const factura = evento.data.object;
-        console.warn(`Pago fallido: ${factura.customer}`);
-        break;
-      }
+    // Reintentos de Stripe de un evento ya aplicado (o en curso): se confirman sin reprocesar
+    if (!(await reclamarEvento(evento))) {
+      return res.json({ received: true, duplicado: true });
     }
 
+    await ejecutarEvento(evento);
     res.json({ received: true });
   } catch (error) {
     console.error('Error procesando webhook:', error);
@@ -135,4 +434,56 @@ router.post('/webhook', async (req, res) => {
   }
 });
 
+// MARK: Administración de eventos (super-admin)
+// 🔒 Todo /eventos expone customers y datos de cobro: se protege a nivel de prefijo,
+// así un endpoint nuevo bajo /eventos no puede quedar abierto por omisión
+router.use('/eventos', authMiddleware, requiereSuperAdmin);
+
+// 📜 GET /api/stripe/eventos?estado=fallido&limit=50 - Bitácora de eventos del webhook
+router.get('/eventos', async (req, res) => {
+  try {
+    const { estado } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const q = {};
+    if (estado) q.estado = String(estado);
+
+    const eventos = await EventoStripe.find(q).sort({ createdAt: -1 }).limit(limit).lean();
+    res.json({ ok: true, count: eventos.length, data: eventos });
+  } catch (error) {
+    console.error('❌ GET /api/stripe/eventos:', error);
+    res.status(500).json({ ok: false, error: 'Error listando eventos' });
+  }
+});
+
+// 🔁 POST /api/stripe/eventos/:eventId/reprocesar - Vuelve a aplicar un evento fallido o abandonado (se pide a Stripe)
+router.post('/eventos/:eventId/reprocesar', async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const registro = await EventoStripe.findOne({ eventId }).lean();
+    if (!registro) {
+      return res.status(404).json({ ok: false, error: 'Evento no encontrado' });
+    }
+    const reclamable = await EventoStripe.exists({ eventId, ...filtroReclamable() });
+    if (!reclamable) {
+      return res.status(409).json({
+        ok: false,
+        error: `El evento está ${registro.estado}; solo se reprocesan fallidos o abandonados en proceso`
+      });
+    }
+
+    const evento = await stripe.events.retrieve(eventId);
+    if (!(await reclamarEvento(evento))) {
+      return res.status(409).json({ ok: false, error: 'El evento ya se está procesando' });
+    }
+
+    const resultado = await ejecutarEvento(evento);
+    res.json({ ok: true, eventId, ...resultado });
+  } catch (error) {
+    console.error('❌ POST /api/stripe/eventos/:eventId/reprocesar:', error);
+    res.status(500).json({ ok: false, error: 'Error reprocesando evento', detalle: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
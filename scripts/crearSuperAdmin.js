@@ -0,0 +1,42 @@
+/**
+ * Otorga (o revoca) el rol de super-admin de la plataforma.
+ * Ejecuta: node scripts/crearSuperAdmin.js <email> [--revocar]
+ *
+ * El usuario debe existir. No hace falta volver a iniciar sesión:
+ * requiereSuperAdmin lee el rol de la base en cada request.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Usuario = require('../models/Usuario');
+
+async function main() {
+  const email = process.argv[2];
+  const revocar = process.argv.includes('--revocar');
+  if (!email) {
+    console.log('Uso: node scripts/crearSuperAdmin.js <email> [--revocar]');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Conectado a MongoDB');
+
+  const usuario = await Usuario.findOneAndUpdate(
+    { email },
+    { $set: { superAdmin: !revocar } },
+    { new: true }
+  );
+
+  if (usuario) {
+    console.log(`✅ ${usuario.email}: superAdmin=${usuario.superAdmin}`);
+  } else {
+    console.log(`⚠️ Usuario ${email} no encontrado`);
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error('❌ Error:', err);
+  process.exit(1);
+});
@@ -5,6 +5,10 @@ const path = require('path');
 
 const connectDB = require('./config/database');
 const { iniciarCronTrialExpirado } = require('./helpers/cronTrialExpirado');
+const { iniciarCronImpresorasOffline } = require('./helpers/cronImpresorasOffline');
+const { iniciarCronSobreLimite } = require('./helpers/cronSobreLimite');
+const { iniciarCronPagoFallido } = require('./helpers/cronPagoFallido');
+const { iniciarCronRecordatoriosTrial } = require('./helpers/cronRecordatoriosTrial');
 
 // Routers
 const authRoutes = require('./routes/auth');
@@ -15,6 +19,9 @@ const metricsRoutes = require('./routes/metrics');
 const reportesRoutes = require('./routes/reportes');
 const devicesRoutes = require('./routes/devices');
 const alertasRoutes = require('./routes/alertas');
+const avisosRoutes = require('./routes/avisos');
+const adminRoutes = require('./routes/admin');
+const miembrosRoutes = require('./routes/miembros');
 
 const app = express();
 const PORT = 8080; // Puerto fijo para Railway
@@ -53,14 +60,17 @@ app.use((req, res, next) => {
 app.use('/', authRoutes);
 
 // API
-app.use('/api/empresas', empresasRoutes);   // /api/empresas, /api/empresas/:id
-app.use('/api', impresorasRoutes);          // /api/empresas/:empresaId/impresoras, /api/impresoras/:id, /api/online-policy
+app.use('/api/empresas', empresasRoutes);   // /api/empresas, /api/empresas/:id (JWT + scope de la cuenta)
+app.use('/api', impresorasRoutes);          // /api/empresas/:empresaId/impresoras, /api/impresoras/:id, /api/impresoras/:id/historial, /api/impresoras/:id/fusionar, /api/impresoras/:id/monitoreo, /api/impresoras/sobre-limite, /api/online-policy
 app.use('/api', carpetasRoutes);            // /api/carpetas*, /api/asignaciones*
-app.use('/api/stripe', stripeRoutes);
-app.use('/api', metricsRoutes);             // /api/metrics/impresoras
+app.use('/api/stripe', stripeRoutes);         // /api/stripe/checkout, /api/stripe/portal, /api/stripe/cambiar-plan, /api/stripe/cancelar, /api/stripe/webhook, /api/stripe/eventos
+app.use('/api', metricsRoutes);             // /api/metrics/impresoras, /api/metrics/impresoras/lote, /api/metrics/agente/heartbeat, /api/metrics/agente/config
 app.use('/api', reportesRoutes);            // /api/impresoras/:id/registrar-corte, /api/impresoras/:id/generar-pdf
 app.use('/api', devicesRoutes);              // /api/device-token
 app.use('/api', alertasRoutes);              // /api/alertas/config/:printerId, /api/alertas/historial
+app.use('/api', avisosRoutes);               // /api/avisos, /api/avisos/:id/read
+app.use('/api', miembrosRoutes);             // /api/miembros, /api/miembros/:email (usuarios y roles de la cuenta)
+app.use('/api', adminRoutes);                // super-admin: /api/usuarios*, /api/registros-pendientes, /api/acciones-admin
 
 // ============================================================
 // RUTA DE PRUEBA
@@ -74,13 +84,27 @@ app.get('/', (req, res) => {
       empresas: '/api/empresas',
       impresoras: '/api/empresas/:empresaId/impresoras',
       metrics: '/api/metrics/impresoras',
+      metricsLote: '/api/metrics/impresoras/lote',
+      heartbeat: '/api/metrics/agente/heartbeat',
+      agenteConfig: '/api/metrics/agente/config',
       cortes: '/api/impresoras/:id/registrar-corte',
       pdf: '/api/impresoras/:id/generar-pdf',
+      historial: '/api/impresoras/:id/historial',
+      fusionar: '/api/impresoras/:id/fusionar',
+      monitoreo: '/api/impresoras/:id/monitoreo',
+      monitoreoLote: '/api/impresoras/monitoreo',
+      sobreLimite: '/api/impresoras/sobre-limite',
+      avisos: '/api/avisos',
+      miembros: '/api/miembros',
       login: '/login',
       registro: '/api/registro',
       activarLicencia: '/api/usuarios/:email/activar',
       registrosPendientes: '/api/registros-pendientes',
-      usuarios: '/api/usuarios'
+      usuarios: '/api/usuarios',
+      planUsuario: '/api/usuarios/:email/plan',
+      extenderTrial: '/api/usuarios/:email/extender-trial',
+      suspension: '/api/usuarios/:email/suspension',
+      accionesAdmin: '/api/acciones-admin'
     }
   });
 });
@@ -118,4 +142,8 @@ app.listen(PORT, () => {
   
   // 🆕 Iniciar cron de trial expirado
   iniciarCronTrialExpirado();
+  iniciarCronRecordatoriosTrial();
+  iniciarCronImpresorasOffline();
+  iniciarCronSobreLimite();
+  iniciarCronPagoFallido();
 });
@@ -0,0 +1,92 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+
+// avisosCuenta inicializa Firebase al cargarse (vía helpers/pagoFallido): se reemplaza antes
+const rutaAvisos = require.resolve('../helpers/avisosCuenta');
+require.cache[rutaAvisos] = {
+  id: rutaAvisos,
+  filename: rutaAvisos,
+  loaded: true,
+  exports: { enviarAvisoCuenta: async () => {} }
+};
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'secreto-de-prueba';
+
+const Usuario = require('../models/Usuario');
+const { ESTADO_RESTRINGIDO } = require('../helpers/pagoFallido');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// MARK: Usuarios en memoria
+const findOneOriginal = Usuario.findOne;
+let usuarios = [];
+let consultas = 0;
+
+beforeEach(() => {
+  consultas = 0;
+  usuarios = [
+    { email: 'dueno@x.com', empresaId: 'e1', ciudad: 'Tijuana', rol: 'owner' },
+    { email: 'tecnico@x.com', empresaId: 'e1', ciudad: 'Tijuana', rol: 'tecnico' }
+  ];
+  Usuario.findOne = (filtro) => ({
+    lean: async () => {
+      consultas++;
+      if (filtro.email) return usuarios.find(u => u.email === filtro.email) || null;
+      return usuarios.find(u => u.empresaId === filtro.empresaId && u.ciudad === filtro.ciudad && u.rol === 'owner') || null;
+    }
+  });
+});
+
+after(() => {
+  Usuario.findOne = findOneOriginal;
+  delete require.cache[rutaAvisos];
+});
+
+/**
+ * Corre authMiddleware y regresa { status, body } si respondió o { siguiente: true } si dejó pasar.
+ */
+async function correr(email, { method = 'POST', url = '/api/carpetas' } = {}) {
+  const token = jwt.sign({ email, empresaId: 'e1', ciudad: 'Tijuana' }, process.env.JWT_SECRET);
+  const req = { method, originalUrl: url, headers: { authorization: `Bearer ${token}` } };
+  return new Promise(resolve => {
+    const res = {
+      status(codigo) { this.codigo = codigo; return this; },
+      json(body) { resolve({ status: this.codigo, body, req }); }
+    };
+    authMiddleware(req, res, () => resolve({ siguiente: true, req }));
+  });
+}
+
+test('authMiddleware: carga la cuenta una sola vez y la deja en req.user', async () => {
+  const r = await correr('tecnico@x.com');
+  assert.equal(r.siguiente, true);
+  assert.equal(r.req.user.suspendida, false);
+  assert.equal(r.req.user.estadoPago, null);
+  assert.equal(consultas, 2); // el usuario y su dueño
+});
+
+test('authMiddleware: un miembro eliminado ya no pasa', async () => {
+  const r = await correr('borrado@x.com');
+  assert.equal(r.status, 401);
+  assert.equal(r.body.codigo, 'USUARIO_NO_ENCONTRADO');
+});
+
+test('authMiddleware: la suspensión del dueño alcanza a sus miembros', async () => {
+  usuarios[0].suspendida = true;
+  const r = await correr('tecnico@x.com', { method: 'GET' });
+  assert.equal(r.status, 403);
+  assert.equal(r.body.codigo, 'CUENTA_SUSPENDIDA');
+});
+
+test('authMiddleware: cuenta restringida bloquea escrituras del panel', async () => {
+  usuarios[0].estadoPago = ESTADO_RESTRINGIDO;
+  const r = await correr('tecnico@x.com');
+  assert.equal(r.status, 403);
+  assert.equal(r.body.codigo, 'CUENTA_RESTRINGIDA');
+});
+
+test('authMiddleware: cuenta restringida sigue leyendo y pagando', async () => {
+  usuarios[0].estadoPago = ESTADO_RESTRINGIDO;
+  assert.equal((await correr('dueno@x.com', { method: 'GET' })).siguiente, true);
+  assert.equal((await correr('dueno@x.com', { url: '/api/stripe/portal?x=1' })).siguiente, true);
+});
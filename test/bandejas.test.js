@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PORCENTAJE_BAJA, normalizarBandejas } = require('../helpers/bandejas');
+
+const estados = (trays) => normalizarBandejas(trays).map(b => b.estado);
+
+test('normalizarBandejas: agentes viejos sin bandejas regresan null', () => {
+  assert.equal(normalizarBandejas(undefined), null);
+  assert.equal(normalizarBandejas('x'), null);
+});
+
+test('normalizarBandejas: normaliza nombre, índice y nivel', () => {
+  const [b] = normalizarBandejas([{ index: 2, name: 'Tray 2', mediaSize: 'Letter', capacity: 250, level: 125 }]);
+  assert.deepEqual(b, {
+    indice: 2,
+    name: 'Tray 2',
+    mediaSize: 'Letter',
+    capacity: 250,
+    level: 125,
+    status: null,
+    estadoNivel: 'ok',
+    porcentaje: 50,
+    estado: 'ok'
+  });
+});
+
+test('normalizarBandejas: nombre e índice por posición cuando faltan', () => {
+  const [b] = normalizarBandejas([{ index: 1, capacity: 100, level: 50 }]);
+  assert.equal(b.name, 'Bandeja 1');
+  assert.equal(normalizarBandejas([null, { capacity: 100 }]).length, 0);
+});
+
+test('normalizarBandejas: vacía, baja y ok por nivel', () => {
+  const baja = Math.floor(PORCENTAJE_BAJA / 2);
+  assert.deepEqual(
+    estados([
+      { name: 'A', capacity: 100, level: 0 },
+      { name: 'B', capacity: 100, level: baja },
+      { name: 'C', capacity: 100, level: 80 }
+    ]),
+    ['vacia', 'baja', 'ok']
+  );
+});
+
+test('normalizarBandejas: -3 (queda algo) es ok y -2 es desconocido', () => {
+  assert.deepEqual(
+    estados([
+      { name: 'A', capacity: 100, level: -3 },
+      { name: 'B', capacity: 100, level: -2 }
+    ]),
+    ['ok', 'desconocido']
+  );
+});
+
+test('normalizarBandejas: prtInputStatus roto o con alerta crítica es error', () => {
+  assert.deepEqual(
+    estados([
+      { name: 'A', capacity: 100, level: 50, status: 5 },
+      { name: 'B', capacity: 100, level: 50, status: 16 },
+      { name: 'C', capacity: 100, level: 50, status: 0 }
+    ]),
+    ['error', 'error', 'ok']
+  );
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { BENEFICIOS_POR_PLAN, obtenerBeneficios, tieneBeneficio, planMinimoPara } = require('../helpers/beneficiosPlan');
+const { obtenerLimitePorPlan } = require('../helpers/limitesPlan');
+
+// MARK: obtenerBeneficios
+test('obtenerBeneficios: los del plan más su límite de impresoras', () => {
+  const beneficios = obtenerBeneficios({ plan: 'pro' });
+  assert.deepEqual(beneficios, { ...BENEFICIOS_POR_PLAN.pro, limiteImpresoras: obtenerLimitePorPlan('pro') });
+});
+
+test('obtenerBeneficios: plan desconocido o sin usuario cae en trial', () => {
+  assert.deepEqual(obtenerBeneficios({ plan: 'otro' }).canalesAlerta, BENEFICIOS_POR_PLAN.trial.canalesAlerta);
+  assert.equal(obtenerBeneficios(null).retencionHistorialDias, BENEFICIOS_POR_PLAN.trial.retencionHistorialDias);
+});
+
+test('obtenerBeneficios: los overrides del usuario sobreescriben al plan', () => {
+  const beneficios = obtenerBeneficios({
+    plan: 'starter',
+    beneficios: { pdfMarcaPropia: true, maxUsuarios: 10 }
+  });
+  assert.equal(beneficios.pdfMarcaPropia, true);
+  assert.equal(beneficios.maxUsuarios, 10);
+  assert.equal(beneficios.retencionHistorialDias, BENEFICIOS_POR_PLAN.starter.retencionHistorialDias);
+});
+
+test('obtenerBeneficios: overrides null o desconocidos se ignoran', () => {
+  const beneficios = obtenerBeneficios({ plan: 'starter', beneficios: { maxUsuarios: null, otraCosa: true } });
+  assert.equal(beneficios.maxUsuarios, BENEFICIOS_POR_PLAN.starter.maxUsuarios);
+  assert.equal(beneficios.otraCosa, undefined);
+});
+
+test('obtenerBeneficios: limiteImpresoras del usuario gana al del plan', () => {
+  assert.equal(obtenerBeneficios({ plan: 'starter', limiteImpresoras: 7 }).limiteImpresoras, 7);
+});
+
+// MARK: tieneBeneficio / planMinimoPara
+test('tieneBeneficio: trial_expirado no tiene canal push', () => {
+  assert.equal(tieneBeneficio({ plan: 'trial_expirado' }, 'canalesAlerta', 'push'), false);
+  assert.equal(tieneBeneficio({ plan: 'starter' }, 'canalesAlerta', 'push'), true);
+});
+
+test('planMinimoPara: el plan más barato con el beneficio', () => {
+  assert.equal(planMinimoPara('pdfMarcaPropia'), 'pro');
+  assert.equal(planMinimoPara('canalesAlerta', 'push'), 'starter');
+});
+
+test('planMinimoPara: null si ningún plan lo incluye', () => {
+  assert.equal(planMinimoPara('canalesAlerta', 'webhook'), null);
+});
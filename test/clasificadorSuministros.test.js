@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  TIPOS_SUMINISTRO,
+  clasificarSuministro,
+  clasificarSuministros,
+  esReceptaculo
+} = require('../helpers/clasificadorSuministros');
+
+// MARK: clasificarSuministro
+test('clasificarSuministro: prtMarkerSuppliesType gana sobre el nombre', () => {
+  assert.deepEqual(clasificarSuministro({ name: 'Black Cartridge', type: 9 }), { tipo: 'drum', color: 'black' });
+  assert.equal(clasificarSuministro({ name: 'Algo', type: 4 }).tipo, 'waste');
+});
+
+test('clasificarSuministro: tipo por nombre en inglés y español', () => {
+  assert.deepEqual(clasificarSuministro({ name: 'Cyan Toner' }), { tipo: 'toner', color: 'cyan' });
+  assert.deepEqual(clasificarSuministro({ name: 'Tambor de imagen' }), { tipo: 'drum', color: null });
+  assert.equal(clasificarSuministro({ name: 'Fuser Kit' }).tipo, 'fuser');
+  assert.equal(clasificarSuministro({ name: 'Tinta Magenta' }).tipo, 'ink');
+});
+
+test('clasificarSuministro: "waste toner" es residuo y no toma color', () => {
+  assert.deepEqual(clasificarSuministro({ name: 'Waste Toner Box K' }), { tipo: 'waste', color: null });
+});
+
+test('clasificarSuministro: receptáculo sin nombre reconocible es residuo', () => {
+  assert.equal(clasificarSuministro({ name: 'Unit 7', class: 4 }).tipo, 'waste');
+});
+
+test('clasificarSuministro: cartucho con color y sin palabra clave es tóner', () => {
+  assert.deepEqual(clasificarSuministro({ name: 'Black Cartridge 58A' }), { tipo: 'toner', color: 'black' });
+  assert.equal(clasificarSuministro({ name: 'Yellow 201', class: 3 }).tipo, 'toner');
+});
+
+test('clasificarSuministro: lo desconocido cae en "otro"', () => {
+  assert.deepEqual(clasificarSuministro({ name: 'Misc' }), { tipo: 'otro', color: null });
+  assert.deepEqual(clasificarSuministro(null), { tipo: 'otro', color: null });
+});
+
+test('clasificarSuministro: solo produce tipos que acepta AlertaConfig', () => {
+  const nombres = ['Toner', 'Drum', 'Waste', 'Fuser', 'Transfer Belt', 'Staples', 'Ink', 'Misc'];
+  for (const name of nombres) {
+    assert.ok(TIPOS_SUMINISTRO.includes(clasificarSuministro({ name }).tipo), name);
+  }
+});
+
+// MARK: clasificarSuministros / esReceptaculo
+test('clasificarSuministros: agrega tipo y color conservando el resto', () => {
+  const [s] = clasificarSuministros([{ name: 'Black Toner', level: 40, max: 100 }]);
+  assert.deepEqual(s, { name: 'Black Toner', level: 40, max: 100, tipo: 'toner', color: 'black' });
+  assert.deepEqual(clasificarSuministros(null), []);
+});
+
+test('esReceptaculo: por tipo waste o por clase SNMP 4', () => {
+  assert.equal(esReceptaculo({ tipo: 'waste' }), true);
+  assert.equal(esReceptaculo({ tipo: 'otro', class: 4 }), true);
+  assert.equal(esReceptaculo({ tipo: 'toner', class: 3 }), false);
+});
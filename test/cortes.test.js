@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detectarReinicio, resolverReinicio, totalConReinicios } = require('../helpers/cortes');
+
+// MARK: detectarReinicio
+test('detectarReinicio: sin lectura previa no hay reinicio', () => {
+  assert.equal(detectarReinicio(null, { pageCount: 10 }), null);
+});
+
+test('detectarReinicio: contador que sube o se queda igual no es reinicio', () => {
+  assert.equal(detectarReinicio({ lastPageCount: 1000 }, { pageCount: 1000 }), null);
+  assert.equal(detectarReinicio({ lastPageCount: 1000 }, { pageCount: 1200 }), null);
+});
+
+test('detectarReinicio: una caída menor a la mínima es ruido de SNMP', () => {
+  assert.equal(detectarReinicio({ lastPageCount: 1000 }, { pageCount: 990 }), null);
+});
+
+test('detectarReinicio: reporta solo los contadores que cayeron', () => {
+  const evento = detectarReinicio(
+    { lastPageCount: 1000, lastPageMono: 800, lastPageColor: 200 },
+    { pageCount: 5, pageMono: 3, pageColor: 210 }
+  );
+  assert.deepEqual(evento, { antesGeneral: 1000, despuesGeneral: 5, antesMono: 800, despuesMono: 3 });
+});
+
+test('detectarReinicio: incluye contadores por función', () => {
+  const evento = detectarReinicio({ lastPageCopy: 500 }, { pageCountCopy: 2 });
+  assert.deepEqual(evento, { antesCopia: 500, despuesCopia: 2 });
+});
+
+test('detectarReinicio: contadores ausentes en la lectura se ignoran', () => {
+  assert.equal(detectarReinicio({ lastPageCount: 1000, lastPageMono: 800 }, { pageCount: 1001 }), null);
+});
+
+// MARK: resolverReinicio
+test('resolverReinicio: la primera lectura baja queda pendiente', () => {
+  const r = resolverReinicio({ lastPageCount: 1000 }, { pageCount: 0 });
+  assert.equal(r.reinicio, null);
+  assert.deepEqual(r.pendiente, { antesGeneral: 1000, despuesGeneral: 0 });
+});
+
+test('resolverReinicio: la segunda lectura baja confirma el reinicio pendiente', () => {
+  const pendiente = { antesGeneral: 1000, despuesGeneral: 3 };
+  // Mientras está pendiente, ImpresoraLatest conserva el contador anterior
+  const r = resolverReinicio({ lastPageCount: 1000, reinicioPendiente: pendiente }, { pageCount: 8 });
+  assert.deepEqual(r.reinicio, pendiente);
+  assert.equal(r.pendiente, null);
+});
+
+test('resolverReinicio: una lectura normal tras el glitch descarta la caída', () => {
+  const r = resolverReinicio(
+    { lastPageCount: 1000, reinicioPendiente: { antesGeneral: 1000, despuesGeneral: 0 } },
+    { pageCount: 1004 }
+  );
+  assert.deepEqual(r, { reinicio: null, pendiente: null });
+});
+
+// MARK: totalConReinicios
+test('totalConReinicios: sin reinicios es fin - inicio', () => {
+  assert.equal(totalConReinicios(100, 250, [], 'General'), 150);
+});
+
+test('totalConReinicios: cose el periodo a través de varios reinicios', () => {
+  const reinicios = [
+    { antesGeneral: 1000, despuesGeneral: 10 },
+    { antesGeneral: 60, despuesGeneral: 0 }
+  ];
+  // (1000 - 900) + (60 - 10) + (40 - 0)
+  assert.equal(totalConReinicios(900, 40, reinicios, 'General'), 190);
+});
+
+test('totalConReinicios: ignora reinicios que no traen el contador', () => {
+  const reinicios = [{ antesMono: 500, despuesMono: 0 }];
+  assert.equal(totalConReinicios(100, 300, reinicios, 'General'), 200);
+});
+
+test('totalConReinicios: nunca resta páginas', () => {
+  assert.equal(totalConReinicios(500, 400, [], 'General'), 0);
+});
@@ -0,0 +1,106 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// avisosCuenta inicializa Firebase al cargarse: se reemplaza antes de requerir el cron
+const avisos = [];
+const rutaAvisos = require.resolve('../helpers/avisosCuenta');
+require.cache[rutaAvisos] = {
+  id: rutaAvisos,
+  filename: rutaAvisos,
+  loaded: true,
+  exports: { enviarAvisoCuenta: async (...args) => { avisos.push(args); } }
+};
+
+const Usuario = require('../models/Usuario');
+const limitesPlan = require('../helpers/limitesPlan');
+const contarOriginal = limitesPlan.contarImpresorasActivasDeUsuario;
+limitesPlan.contarImpresorasActivasDeUsuario = async () => 2;
+
+const { diasDeCalendario, enviarRecordatoriosTrial } = require('../helpers/cronRecordatoriosTrial');
+
+const findOriginal = Usuario.find;
+const updateOneOriginal = Usuario.updateOne;
+
+after(() => {
+  Usuario.find = findOriginal;
+  Usuario.updateOne = updateOneOriginal;
+  limitesPlan.contarImpresorasActivasDeUsuario = contarOriginal;
+  delete require.cache[rutaAvisos];
+});
+
+// Enero: Tijuana está en UTC-8
+const ahora = new Date('2026-01-15T18:00:00Z'); // 10:00 en Tijuana
+
+// MARK: diasDeCalendario
+test('diasDeCalendario: mismo día en Tijuana es 0 aunque falten horas', () => {
+  assert.equal(diasDeCalendario(ahora, new Date('2026-01-16T07:59:00Z')), 0); // 23:59 del 15
+});
+
+test('diasDeCalendario: cuenta el cambio de día en Tijuana, no en UTC', () => {
+  assert.equal(diasDeCalendario(ahora, new Date('2026-01-16T08:00:00Z')), 1); // 00:00 del 16
+  assert.equal(diasDeCalendario(ahora, new Date('2026-01-18T20:00:00Z')), 3);
+});
+
+test('diasDeCalendario: una expiración de más temprano hoy es 0 y la de ayer es -1', () => {
+  assert.equal(diasDeCalendario(ahora, new Date('2026-01-15T09:00:00Z')), 0); // 01:00 del 15
+  assert.equal(diasDeCalendario(ahora, new Date('2026-01-15T07:00:00Z')), -1); // 23:00 del 14
+});
+
+// MARK: enviarRecordatoriosTrial
+test('enviarRecordatoriosTrial: a tres días manda "3_dias" y lo marca enviado', async () => {
+  const usuario = {
+    _id: 'u1',
+    email: 'a@b.com',
+    fechaExpiracionTrial: new Date('2026-01-18T20:00:00Z'),
+    recordatoriosTrialEnviados: []
+  };
+  const marcas = [];
+  Usuario.find = () => ({ lean: async () => [usuario] });
+  Usuario.updateOne = async (filtro, cambios) => {
+    marcas.push(cambios.$addToSet.recordatoriosTrialEnviados.$each);
+    return { modifiedCount: 1 };
+  };
+
+  const enviados = await enviarRecordatoriosTrial(ahora);
+
+  assert.equal(enviados, 1);
+  assert.deepEqual(marcas[0], ['3_dias']);
+  assert.equal(avisos.at(-1)[1], 'TRIAL_RECORDATORIO');
+  assert.equal(avisos.at(-1)[4].recordatorio, '3_dias');
+  assert.match(avisos.at(-1)[2], /vence en 3 días/);
+});
+
+test('enviarRecordatoriosTrial: no repite un recordatorio ya enviado', async () => {
+  const usuario = {
+    _id: 'u1',
+    email: 'a@b.com',
+    fechaExpiracionTrial: new Date('2026-01-18T20:00:00Z'),
+    recordatoriosTrialEnviados: ['3_dias']
+  };
+  Usuario.find = () => ({ lean: async () => [usuario] });
+  Usuario.updateOne = async () => { throw new Error('no debería marcar'); };
+
+  assert.equal(await enviarRecordatoriosTrial(ahora), 0);
+});
+
+test('enviarRecordatoriosTrial: el trial que venció antes de la pasada recibe "hoy"', async () => {
+  const usuario = {
+    _id: 'u1',
+    email: 'a@b.com',
+    fechaExpiracionTrial: new Date('2026-01-15T11:00:00Z'), // 03:00 en Tijuana
+    recordatoriosTrialEnviados: ['3_dias', '1_dia']
+  };
+  let filtroFind;
+  Usuario.find = (filtro) => {
+    filtroFind = filtro;
+    return { lean: async () => [usuario] };
+  };
+  Usuario.updateOne = async () => ({ modifiedCount: 1 });
+
+  const enviados = await enviarRecordatoriosTrial(ahora);
+
+  assert.equal(enviados, 1);
+  assert.ok(filtroFind.fechaExpiracionTrial.$gt <= usuario.fechaExpiracionTrial);
+  assert.equal(avisos.at(-1)[4].recordatorio, 'hoy');
+  assert.match(avisos.at(-1)[2], /venció hoy/);
+});
@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizarEstado, fusionarErrores, _internal } = require('../helpers/estadoImpresora');
+const { flagsDeErrorState, codigoDeAlertaPrt } = _internal;
+
+const codigos = (estado) => estado.errores.map(e => e.codigo).sort();
+
+// MARK: flagsDeErrorState
+test('flagsDeErrorState: bit 0 es el más significativo del primer octeto', () => {
+  assert.deepEqual(flagsDeErrorState('80'), ['lowPaper']);
+  assert.deepEqual(flagsDeErrorState('08'), ['doorOpen']);
+  assert.deepEqual(flagsDeErrorState('0800'), ['doorOpen']);
+});
+
+test('flagsDeErrorState: lee el segundo octeto', () => {
+  // bit 8 = inputTrayMissing, bit 13 = inputTrayEmpty
+  assert.deepEqual(flagsDeErrorState('0084'), ['inputTrayMissing', 'inputTrayEmpty']);
+});
+
+test('flagsDeErrorState: acepta arreglo de bytes y arreglo de nombres', () => {
+  assert.deepEqual(flagsDeErrorState([0x44]), ['noPaper', 'jammed']);
+  assert.deepEqual(flagsDeErrorState(['jammed', 'noExiste']), ['jammed']);
+});
+
+test('flagsDeErrorState: formatos desconocidos no generan flags', () => {
+  assert.deepEqual(flagsDeErrorState('zz'), []);
+  assert.deepEqual(flagsDeErrorState(null), []);
+  assert.deepEqual(flagsDeErrorState(7), []);
+});
+
+// MARK: codigoDeAlertaPrt
+test('codigoDeAlertaPrt: códigos específicos de PrtAlertCodeTC', () => {
+  assert.equal(codigoDeAlertaPrt({ code: 8 }), 'papel_atascado');
+  assert.equal(codigoDeAlertaPrt({ code: 501 }), 'puerta_abierta');
+  assert.equal(codigoDeAlertaPrt({ code: 808 }), 'sin_papel');
+  assert.equal(codigoDeAlertaPrt({ code: 1101 }), 'sin_toner');
+});
+
+test('codigoDeAlertaPrt: 12/13 solo son papel en el grupo input', () => {
+  assert.equal(codigoDeAlertaPrt({ code: 13, group: 8 }), 'sin_papel');
+  assert.equal(codigoDeAlertaPrt({ code: 12, group: 8 }), 'poco_papel');
+  assert.equal(codigoDeAlertaPrt({ code: 13, group: 11 }), null);
+});
+
+test('codigoDeAlertaPrt: alertas sin alerta asociada regresan null', () => {
+  assert.equal(codigoDeAlertaPrt({ code: 1 }), null);
+  assert.equal(codigoDeAlertaPrt(null), null);
+});
+
+// MARK: normalizarEstado
+test('normalizarEstado: agentes viejos sin estado regresan null', () => {
+  assert.equal(normalizarEstado({}), null);
+  assert.equal(normalizarEstado(), null);
+});
+
+test('normalizarEstado: sin errores es ok', () => {
+  assert.deepEqual(normalizarEstado({ printerStatus: 'idle', errorState: '0000' }), { estado: 'ok', errores: [] });
+});
+
+test('normalizarEstado: errores críticos ponen la impresora en error', () => {
+  const estado = normalizarEstado({ errorState: '08' });
+  assert.equal(estado.estado, 'error');
+  assert.deepEqual(estado.errores, [{ codigo: 'puerta_abierta', descripcion: 'Puerta o cubierta abierta' }]);
+});
+
+test('normalizarEstado: errores no críticos son advertencia', () => {
+  assert.equal(normalizarEstado({ errorState: '80' }).estado, 'advertencia');
+});
+
+test('normalizarEstado: offline gana sobre cualquier error', () => {
+  assert.equal(normalizarEstado({ printerStatus: 'Offline', errorState: '04' }).estado, 'offline');
+});
+
+test('normalizarEstado: junta errorState y prtAlerts sin duplicar códigos', () => {
+  const estado = normalizarEstado({
+    errorState: ['noPaper'],
+    prtAlerts: [{ code: 808 }, { code: 8 }]
+  });
+  assert.deepEqual(codigos(estado), ['papel_atascado', 'sin_papel']);
+});
+
+// MARK: fusionarErrores
+test('fusionarErrores: conserva "desde" de los errores que siguen activos', () => {
+  const antes = new Date('2026-03-01T08:00:00Z');
+  const ahora = new Date('2026-03-01T10:00:00Z');
+  const errores = fusionarErrores(
+    [{ codigo: 'sin_papel' }, { codigo: 'papel_atascado' }],
+    [{ codigo: 'sin_papel', desde: antes }, { codigo: 'puerta_abierta', desde: antes }],
+    ahora
+  );
+  assert.deepEqual(errores, [
+    { codigo: 'sin_papel', desde: antes },
+    { codigo: 'papel_atascado', desde: ahora }
+  ]);
+});
@@ -0,0 +1,115 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sift = require('sift').default;
+
+const EventoStripe = require('../models/EventoStripe');
+const { LEASE_EVENTO_MS, filtroEventoVigente, reclamarEvento } = require('../helpers/eventosStripe');
+
+// MARK: Bitácora en memoria
+// Los filtros se evalúan con sift (mismo motor de consultas que usa mongoose) para probar qué reclaman.
+const createOriginal = EventoStripe.create;
+const findOneAndUpdateOriginal = EventoStripe.findOneAndUpdate;
+let registros = [];
+
+beforeEach(() => {
+  registros = [];
+  EventoStripe.create = async (doc) => {
+    if (registros.some(r => r.eventId === doc.eventId)) {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    }
+    const registro = { estado: 'procesando', ...doc, updatedAt: new Date() };
+    registros.push(registro);
+    return registro;
+  };
+  EventoStripe.findOneAndUpdate = async (filtro, { $set }) => {
+    const registro = registros.find(sift(filtro));
+    if (!registro) return null;
+    Object.assign(registro, $set, { updatedAt: new Date() });
+    return registro;
+  };
+});
+
+after(() => {
+  EventoStripe.create = createOriginal;
+  EventoStripe.findOneAndUpdate = findOneAndUpdateOriginal;
+});
+
+const evento = (id = 'evt_1') => ({
+  id,
+  type: 'customer.subscription.updated',
+  created: 1772359200,
+  data: { object: { customer: 'cus_1' } }
+});
+
+// MARK: reclamarEvento
+test('reclamarEvento: un evento nuevo se registra y se procesa', async () => {
+  assert.equal(await reclamarEvento(evento()), true);
+  assert.equal(registros.length, 1);
+  assert.equal(registros[0].customer, 'cus_1');
+});
+
+test('reclamarEvento: un evento que falló se vuelve a reclamar', async () => {
+  registros.push({ eventId: 'evt_1', estado: 'fallido', error: 'boom', updatedAt: new Date() });
+  assert.equal(await reclamarEvento(evento()), true);
+  assert.equal(registros[0].estado, 'procesando');
+  assert.equal(registros[0].error, null);
+});
+
+test('reclamarEvento: una entrega duplicada de un evento en proceso se omite', async () => {
+  assert.equal(await reclamarEvento(evento()), true);
+  assert.equal(await reclamarEvento(evento()), false);
+});
+
+test('reclamarEvento: un evento en proceso con la lease vencida se vuelve a reclamar', async () => {
+  const abandonado = new Date(Date.now() - LEASE_EVENTO_MS - 60 * 1000);
+  registros.push({ eventId: 'evt_1', estado: 'procesando', updatedAt: abandonado });
+  assert.equal(await reclamarEvento(evento()), true);
+  assert.ok(registros[0].updatedAt > abandonado, 'renueva la lease');
+  assert.equal(await reclamarEvento(evento()), false);
+});
+
+test('reclamarEvento: un evento en proceso dentro de la lease no se reclama', async () => {
+  registros.push({ eventId: 'evt_1', estado: 'procesando', updatedAt: new Date(Date.now() - 60 * 1000) });
+  assert.equal(await reclamarEvento(evento()), false);
+});
+
+test('reclamarEvento: un evento ya procesado no se reaplica', async () => {
+  registros.push({ eventId: 'evt_1', estado: 'procesado', updatedAt: new Date() });
+  assert.equal(await reclamarEvento(evento()), false);
+  assert.equal(registros[0].estado, 'procesado');
+});
+
+test('reclamarEvento: errores que no son de duplicado se propagan', async () => {
+  EventoStripe.create = async () => { throw new Error('sin conexión'); };
+  await assert.rejects(reclamarEvento(evento()), /sin conexión/);
+});
+
+// MARK: filtroEventoVigente
+const creado = new Date('2026-03-01T10:00:00Z');
+const usuarios = [
+  { _id: 'u1', stripeCustomerId: 'cus_1', stripeEventoAplicadoEn: null },
+  { _id: 'u2', stripeCustomerId: 'cus_2' },
+  { _id: 'u3', stripeCustomerId: 'cus_3', stripeEventoAplicadoEn: new Date('2026-03-01T09:00:00Z') },
+  { _id: 'u4', stripeCustomerId: 'cus_4', stripeEventoAplicadoEn: creado },
+  { _id: 'u5', stripeCustomerId: 'cus_5', stripeEventoAplicadoEn: new Date('2026-03-01T11:00:00Z') }
+];
+const aplica = (stripeCustomerId) => usuarios.filter(sift(filtroEventoVigente({ stripeCustomerId }, creado))).length === 1;
+
+test('filtroEventoVigente: aplica si el usuario nunca recibió un evento', () => {
+  assert.equal(aplica('cus_1'), true);
+  assert.equal(aplica('cus_2'), true);
+});
+
+test('filtroEventoVigente: aplica si el último evento aplicado es igual o más viejo', () => {
+  assert.equal(aplica('cus_3'), true);
+  assert.equal(aplica('cus_4'), true);
+});
+
+test('filtroEventoVigente: un evento creado antes del último aplicado se omite', () => {
+  assert.equal(aplica('cus_5'), false);
+});
+
+test('filtroEventoVigente: respeta el filtro original', () => {
+  const filtro = filtroEventoVigente({ stripeCustomerId: 'cus_1' }, creado);
+  assert.deepEqual(usuarios.filter(sift(filtro)).map(u => u._id), ['u1']);
+});
@@ -0,0 +1,97 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ImpresoraMuestra = require('../models/ImpresoraMuestra');
+const {
+  MAX_PUNTOS,
+  normalizarTimestamp,
+  esMuestraFueraDeOrden,
+  consultarHistorial
+} = require('../helpers/historial');
+
+const findOriginal = ImpresoraMuestra.find;
+after(() => {
+  ImpresoraMuestra.find = findOriginal;
+});
+
+/**
+ * Reemplaza ImpresoraMuestra.find con n muestras de un minuto y respeta sort/limit de la consulta.
+ */
+function simularMuestras(n, inicio) {
+  const muestras = Array.from({ length: n }, (_, i) => ({
+    ts: new Date(inicio.getTime() + i * 60000),
+    pageCount: 1000 + i
+  }));
+  ImpresoraMuestra.find = () => {
+    let orden = 1;
+    let limite = Infinity;
+    const consulta = {
+      sort: ({ ts }) => { orden = ts; return consulta; },
+      limit: (l) => { limite = l; return consulta; },
+      lean: async () => [...muestras].sort((a, b) => (a.ts - b.ts) * orden).slice(0, limite)
+    };
+    return consulta;
+  };
+  return muestras;
+}
+
+const ahora = new Date('2026-03-01T10:00:00Z');
+
+// MARK: normalizarTimestamp
+test('normalizarTimestamp: respeta un ts pasado válido', () => {
+  const ts = '2026-03-01T09:59:00Z';
+  assert.equal(normalizarTimestamp(ts, ahora).getTime(), new Date(ts).getTime());
+});
+
+test('normalizarTimestamp: acepta epoch en milisegundos', () => {
+  const ms = ahora.getTime() - 60000;
+  assert.equal(normalizarTimestamp(ms, ahora).getTime(), ms);
+});
+
+test('normalizarTimestamp: un ts en el futuro (reloj adelantado) se ajusta a ahora', () => {
+  assert.equal(normalizarTimestamp('2026-03-01T12:00:00Z', ahora), ahora);
+});
+
+test('normalizarTimestamp: un ts inválido o ausente se ajusta a ahora', () => {
+  assert.equal(normalizarTimestamp('no-es-fecha', ahora), ahora);
+  assert.equal(normalizarTimestamp(undefined, ahora), ahora);
+});
+
+// MARK: esMuestraFueraDeOrden
+test('esMuestraFueraDeOrden: la primera muestra nunca se descarta', () => {
+  assert.equal(esMuestraFueraDeOrden(ahora, null), false);
+  assert.equal(esMuestraFueraDeOrden(ahora, undefined), false);
+});
+
+test('esMuestraFueraDeOrden: una muestra más nueva se aplica', () => {
+  assert.equal(esMuestraFueraDeOrden(ahora, new Date(ahora.getTime() - 60000)), false);
+});
+
+test('esMuestraFueraDeOrden: duplicada (mismo ts) o más vieja se descarta', () => {
+  assert.equal(esMuestraFueraDeOrden(ahora, new Date(ahora)), true);
+  assert.equal(esMuestraFueraDeOrden(new Date(ahora.getTime() - 60000), ahora), true);
+});
+
+test('esMuestraFueraDeOrden: acepta el ts guardado como string', () => {
+  assert.equal(esMuestraFueraDeOrden(ahora, '2026-03-01T10:05:00Z'), true);
+});
+
+// MARK: consultarHistorial
+test('consultarHistorial raw: dentro del tope regresa todo en orden ascendente', async () => {
+  const inicio = new Date('2026-03-01T00:00:00Z');
+  simularMuestras(3, inicio);
+  const { puntos, truncado } = await consultarHistorial('p1', { desde: inicio, hasta: ahora });
+  assert.equal(truncado, false);
+  assert.deepEqual(puntos.map(p => p.pageCount), [1000, 1001, 1002]);
+  assert.deepEqual(puntos.map(p => p.paginas), [0, 1, 1]);
+});
+
+test('consultarHistorial raw: arriba del tope regresa las muestras más recientes', async () => {
+  const inicio = new Date('2026-02-20T00:00:00Z');
+  const muestras = simularMuestras(MAX_PUNTOS + 10, inicio);
+  const { puntos, truncado } = await consultarHistorial('p1', { desde: inicio, hasta: ahora });
+  assert.equal(truncado, true);
+  assert.equal(puntos.length, MAX_PUNTOS);
+  assert.equal(puntos[0].ts.getTime(), muestras[10].ts.getTime());
+  assert.equal(puntos.at(-1).ts.getTime(), muestras.at(-1).ts.getTime());
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  SNMP_OTRO,
+  SNMP_DESCONOCIDO,
+  SNMP_ALGO_RESTANTE,
+  ESTADO_OK,
+  ESTADO_DESCONOCIDO,
+  ESTADO_ALGO_RESTANTE,
+  normalizarNivel
+} = require('../helpers/nivelSuministro');
+
+// MARK: Valores especiales RFC 3805
+test('normalizarNivel: -3 significa que queda algo, sin porcentaje', () => {
+  assert.deepEqual(normalizarNivel({ level: SNMP_ALGO_RESTANTE, max: 100 }), {
+    estadoNivel: ESTADO_ALGO_RESTANTE,
+    porcentaje: null
+  });
+});
+
+test('normalizarNivel: -1 y -2 son desconocidos', () => {
+  for (const level of [SNMP_OTRO, SNMP_DESCONOCIDO]) {
+    assert.deepEqual(normalizarNivel({ level, max: 100 }), { estadoNivel: ESTADO_DESCONOCIDO, porcentaje: null });
+  }
+});
+
+test('normalizarNivel: otros negativos, NaN o sin level son desconocidos', () => {
+  assert.equal(normalizarNivel({ level: -7, max: 100 }).estadoNivel, ESTADO_DESCONOCIDO);
+  assert.equal(normalizarNivel({ level: 'abc', max: 100 }).estadoNivel, ESTADO_DESCONOCIDO);
+  assert.equal(normalizarNivel({ max: 100 }).estadoNivel, ESTADO_DESCONOCIDO);
+  assert.equal(normalizarNivel(null).estadoNivel, ESTADO_DESCONOCIDO);
+});
+
+// MARK: Porcentaje
+test('normalizarNivel: con max calcula level / max redondeado a un decimal', () => {
+  assert.deepEqual(normalizarNivel({ level: 1, max: 3 }), { estadoNivel: ESTADO_OK, porcentaje: 33.3 });
+});
+
+test('normalizarNivel: max -2 (desconocido) toma level como porcentaje', () => {
+  assert.deepEqual(normalizarNivel({ level: 40, max: SNMP_DESCONOCIDO }), { estadoNivel: ESTADO_OK, porcentaje: 40 });
+});
+
+test('normalizarNivel: sin max y level mayor a 100 no es un porcentaje', () => {
+  assert.equal(normalizarNivel({ level: 2500 }).estadoNivel, ESTADO_DESCONOCIDO);
+});
+
+test('normalizarNivel: recorta a 0-100', () => {
+  assert.equal(normalizarNivel({ level: 120, max: 100 }).porcentaje, 100);
+  assert.equal(normalizarNivel({ level: 0, max: 100 }).porcentaje, 0);
+});
@@ -0,0 +1,134 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sift = require('sift').default;
+
+// avisosCuenta inicializa Firebase al cargarse: se reemplaza antes de requerir pagoFallido
+const avisos = [];
+const rutaAvisos = require.resolve('../helpers/avisosCuenta');
+require.cache[rutaAvisos] = {
+  id: rutaAvisos,
+  filename: rutaAvisos,
+  loaded: true,
+  exports: { enviarAvisoCuenta: async (...args) => { avisos.push(args); } }
+};
+
+const Usuario = require('../models/Usuario');
+const {
+  GRACIA_PAGO_FALLIDO_DIAS,
+  ESTADO_PAGO_FALLIDO,
+  ESTADO_RESTRINGIDO,
+  registrarPagoFallido
+} = require('../helpers/pagoFallido');
+
+// MARK: Usuarios en memoria
+// Los filtros se evalúan con sift y se aplican $set / $inc / $max como lo haría Mongo.
+const findOneAndUpdateOriginal = Usuario.findOneAndUpdate;
+let usuarios = [];
+const ahora = new Date('2026-03-01T10:00:00Z');
+
+function aplicar(doc, { $set = {}, $inc = {}, $max = {} }) {
+  Object.assign(doc, $set);
+  for (const [campo, n] of Object.entries($inc)) doc[campo] = (doc[campo] || 0) + n;
+  for (const [campo, n] of Object.entries($max)) doc[campo] = Math.max(doc[campo] ?? -Infinity, n);
+}
+
+beforeEach(() => {
+  avisos.length = 0;
+  usuarios = [];
+  Usuario.findOneAndUpdate = (filtro, cambios) => ({
+    lean: async () => {
+      const doc = usuarios.find(sift(filtro));
+      if (!doc) return null;
+      aplicar(doc, cambios);
+      return { ...doc };
+    }
+  });
+});
+
+after(() => {
+  Usuario.findOneAndUpdate = findOneAndUpdateOriginal;
+  delete require.cache[rutaAvisos];
+});
+
+function crearUsuario(campos) {
+  const usuario = { _id: 'u1', email: 'a@b.com', ...campos };
+  usuarios.push(usuario);
+  return { ...usuario };
+}
+
+test('registrarPagoFallido: el primer fallo abre la gracia', async () => {
+  const usuario = crearUsuario({ estadoPago: 'al_corriente' });
+  await registrarPagoFallido(usuario, { attempt_count: 1 }, ahora);
+
+  assert.equal(usuarios[0].estadoPago, ESTADO_PAGO_FALLIDO);
+  assert.equal(usuarios[0].pagoFallidoDesde, ahora);
+  assert.equal(
+    usuarios[0].pagoFallidoGraciaHasta.getTime(),
+    ahora.getTime() + GRACIA_PAGO_FALLIDO_DIAS * 24 * 60 * 60 * 1000
+  );
+  assert.equal(usuarios[0].intentosPagoFallidos, 1);
+  assert.equal(avisos[0][1], 'PAGO_FALLIDO');
+});
+
+test('registrarPagoFallido: usuarios sin estadoPago también abren la gracia', async () => {
+  const usuario = crearUsuario({});
+  await registrarPagoFallido(usuario, {}, ahora);
+  assert.equal(usuarios[0].estadoPago, ESTADO_PAGO_FALLIDO);
+  assert.equal(usuarios[0].intentosPagoFallidos, 1);
+});
+
+test('registrarPagoFallido: un reintento no mueve la gracia ya abierta', async () => {
+  const graciaHasta = new Date('2026-03-05T10:00:00Z');
+  const desde = new Date('2026-02-26T10:00:00Z');
+  const usuario = crearUsuario({
+    estadoPago: ESTADO_PAGO_FALLIDO,
+    pagoFallidoDesde: desde,
+    pagoFallidoGraciaHasta: graciaHasta,
+    intentosPagoFallidos: 1
+  });
+  await registrarPagoFallido(usuario, { attempt_count: 2 }, ahora);
+
+  assert.equal(usuarios[0].pagoFallidoDesde, desde);
+  assert.equal(usuarios[0].pagoFallidoGraciaHasta, graciaHasta);
+  assert.equal(usuarios[0].intentosPagoFallidos, 2);
+  assert.equal(avisos[0][4].graciaHasta, graciaHasta.toISOString());
+});
+
+test('registrarPagoFallido: dos webhooks simultáneos abren la gracia una sola vez', async () => {
+  const usuario = crearUsuario({ estadoPago: 'al_corriente' });
+  const despues = new Date(ahora.getTime() + 1000);
+  await Promise.all([
+    registrarPagoFallido(usuario, {}, ahora),
+    registrarPagoFallido(usuario, {}, despues)
+  ]);
+
+  assert.equal(usuarios[0].pagoFallidoDesde, ahora);
+  assert.equal(usuarios[0].intentosPagoFallidos, 2);
+  assert.equal(avisos[1][4].graciaHasta, avisos[0][4].graciaHasta);
+});
+
+test('registrarPagoFallido: sin attempt_count suma uno a los intentos guardados', async () => {
+  const usuario = crearUsuario({ estadoPago: ESTADO_PAGO_FALLIDO, intentosPagoFallidos: 2 });
+  await registrarPagoFallido(usuario, {}, ahora);
+  assert.equal(usuarios[0].intentosPagoFallidos, 3);
+});
+
+test('registrarPagoFallido: un attempt_count atrasado no baja el contador', async () => {
+  const usuario = crearUsuario({ estadoPago: ESTADO_PAGO_FALLIDO, intentosPagoFallidos: 3 });
+  await registrarPagoFallido(usuario, { attempt_count: 2 }, ahora);
+  assert.equal(usuarios[0].intentosPagoFallidos, 3);
+});
+
+test('registrarPagoFallido: una cuenta restringida sigue restringida', async () => {
+  const usuario = crearUsuario({ estadoPago: ESTADO_RESTRINGIDO, intentosPagoFallidos: 4 });
+  await registrarPagoFallido(usuario, { attempt_count: 5 }, ahora);
+
+  assert.equal(usuarios[0].estadoPago, ESTADO_RESTRINGIDO);
+  assert.equal(usuarios[0].intentosPagoFallidos, 5);
+  assert.match(avisos[0][3], /recuperar el acceso completo/);
+});
+
+test('registrarPagoFallido: si el usuario ya no existe no avisa', async () => {
+  await registrarPagoFallido({ _id: 'u9', email: 'x@y.com' }, {}, ahora);
+  assert.equal(avisos.length, 0);
+});
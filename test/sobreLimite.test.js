@@ -0,0 +1,95 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Usuario = require('../models/Usuario');
+const limitesPlan = require('../helpers/limitesPlan');
+
+// sobreLimite toma contarImpresorasActivasDeUsuario al cargarse: se reemplaza antes
+let activas = 0;
+const contarOriginal = limitesPlan.contarImpresorasActivasDeUsuario;
+limitesPlan.contarImpresorasActivasDeUsuario = async () => activas;
+
+const { evaluarSobreLimite, GRACIA_SOBRE_LIMITE_DIAS } = require('../helpers/sobreLimite');
+
+const findByIdOriginal = Usuario.findById;
+const updateOneOriginal = Usuario.updateOne;
+const actualizaciones = [];
+let usuario = null;
+const ahora = new Date('2026-03-01T10:00:00Z');
+
+beforeEach(() => {
+  actualizaciones.length = 0;
+  Usuario.findById = () => ({ select: () => ({ lean: async () => usuario }) });
+  Usuario.updateOne = async (filtro, cambios) => {
+    actualizaciones.push({ filtro, cambios });
+    return { modifiedCount: 1 };
+  };
+});
+
+after(() => {
+  Usuario.findById = findByIdOriginal;
+  Usuario.updateOne = updateOneOriginal;
+  limitesPlan.contarImpresorasActivasDeUsuario = contarOriginal;
+});
+
+test('evaluarSobreLimite: usuario inexistente regresa null', async () => {
+  usuario = null;
+  assert.equal(await evaluarSobreLimite('u1', ahora), null);
+});
+
+test('evaluarSobreLimite: dentro del límite no toca al usuario', async () => {
+  usuario = { _id: 'u1', plan: 'starter', limiteImpresoras: 10 };
+  activas = 10;
+  const r = await evaluarSobreLimite('u1', ahora);
+  assert.deepEqual(r, { sobreLimite: false, limite: 10, activas: 10, exceso: 0, graciaHasta: null });
+  assert.equal(actualizaciones.length, 0);
+});
+
+test('evaluarSobreLimite: la primera vez sobre el límite abre la gracia', async () => {
+  usuario = { _id: 'u1', plan: 'starter', limiteImpresoras: 10 };
+  activas = 13;
+  const r = await evaluarSobreLimite('u1', ahora);
+
+  const graciaEsperada = ahora.getTime() + GRACIA_SOBRE_LIMITE_DIAS * 24 * 60 * 60 * 1000;
+  assert.equal(r.sobreLimite, true);
+  assert.equal(r.exceso, 3);
+  assert.equal(r.graciaHasta.getTime(), graciaEsperada);
+  assert.equal(actualizaciones[0].cambios.$set.sobreLimiteDesde, ahora);
+});
+
+test('evaluarSobreLimite: con la gracia ya abierta conserva su fecha', async () => {
+  const graciaHasta = new Date('2026-03-04T10:00:00Z');
+  usuario = {
+    _id: 'u1',
+    plan: 'starter',
+    limiteImpresoras: 10,
+    sobreLimiteDesde: new Date('2026-02-25T10:00:00Z'),
+    sobreLimiteGraciaHasta: graciaHasta
+  };
+  activas = 12;
+  const r = await evaluarSobreLimite('u1', ahora);
+  assert.equal(r.graciaHasta, graciaHasta);
+  assert.equal(actualizaciones.length, 0);
+});
+
+test('evaluarSobreLimite: al volver a caber cierra la gracia', async () => {
+  usuario = {
+    _id: 'u1',
+    plan: 'starter',
+    limiteImpresoras: 10,
+    sobreLimiteDesde: new Date('2026-02-25T10:00:00Z'),
+    sobreLimiteGraciaHasta: new Date('2026-03-04T10:00:00Z')
+  };
+  activas = 9;
+  const r = await evaluarSobreLimite('u1', ahora);
+  assert.equal(r.sobreLimite, false);
+  assert.deepEqual(actualizaciones[0].cambios.$set, { sobreLimiteDesde: null, sobreLimiteGraciaHasta: null });
+});
+
+test('evaluarSobreLimite: trial_expirado nunca queda sobre el límite', async () => {
+  usuario = { _id: 'u1', plan: 'trial_expirado', limiteImpresoras: null };
+  activas = 3;
+  const r = await evaluarSobreLimite('u1', ahora);
+  assert.equal(r.sobreLimite, false);
+  assert.equal(r.limite, limitesPlan.obtenerLimitePorPlan('trial_expirado'));
+});